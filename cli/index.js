@@ -3,10 +3,106 @@ import process from 'node:process';
 import 'dotenv/config';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { envPath, getProvider, getSigner } from './src/network.js';
+import { assertNetworkProfileCanBeSaved, envPath, getEnvSigner, getNetworkProfiles, getProvider, getProviderByRpcUrl, getSelectedNetwork, getSpellAttesterOverride, saveNetworkProfile, setNetworkOptions } from './src/network.js';
 import { getVariables, setVariable } from './src/configure.js';
-import { createAttestation, getAtttestationEventsByAttester, getSpellEvents, getSpellStatus, revokeAttestation } from './src/attestations.js';
-import { formatAttestationEvent, handleErrors, prettify } from './src/helpers.js';
+import { formatAttestation, formatIdentity, formatSpellMember, getActiveFilter, handleErrors, prettify, reportSimulation } from './src/helpers.js';
+import { OUTPUT_FORMATS, createEventPrinter, printEvents, printProgressTable, printResult, redirectProgressOutput, serializeAttestationEvent } from './src/output.js';
+import { CROSSCHAIN_EXIT_CODES, verifyPayloadHashes } from './src/payload.js';
+import { WATCH_EXIT_CODES } from './src/watch.js';
+import { saveReport, toReportRows } from './src/report.js';
+import { LOCAL_CHAIN_IDS } from './src/bootstrap.js';
+import { VERIFICATION_EXIT_CODES } from './src/verify.js';
+import { readDelegatedRequest, saveDelegatedRequest } from './src/delegation.js';
+import { setCacheOptions } from './src/cache.js';
+import { groupIdentitiesByTeam } from './src/identities.js';
+import { ask, choose, confirm } from './src/prompts.js';
+import { runWizard } from './src/wizard.js';
+import { IMPORT_EXIT_CODES, getFailedIdentities, readRoster, toIdentityOptions } from './src/roster.js';
+import { EXPORT_FORMATS, exportTransaction, readRawTransaction } from './src/transactions.js';
+import { ConfigurationError, SpellAttesterClient, formatReportMarkdown } from './src/client.js';
+import { SCHEMA_NAMES } from './src/contracts.js';
+
+// Every command is built on top of the programmatic client, configured via global options and env variables
+const getClient = async function (argv) {
+    const provider = await getProvider();
+    return new SpellAttesterClient({
+        provider,
+        signer: () => getEnvSigner(provider),
+        network: getSelectedNetwork(),
+        spellAttesterAddress: getSpellAttesterOverride(),
+        cache: argv.cache,
+        onProgress: message => console.info(message),
+    });
+};
+
+// Admins and schemas are changed by the SpellAttester itself, so the transactions can also be exported for a multisig
+const addGovernanceOptions = function (yargs) {
+    return yargs
+        .option('dry-run', {
+            describe: 'Only check that the change can be made without submitting the transaction',
+            type: 'boolean',
+        })
+        .option('export', {
+            describe: 'Path to a file where unsigned transaction should be saved instead of submitting it',
+            type: 'string',
+            requiresArg: true,
+        })
+        .option('export-format', {
+            describe: 'Format of the exported transaction',
+            choices: EXPORT_FORMATS,
+            default: 'transaction',
+            requiresArg: true,
+        })
+        .option('from', {
+            describe: 'Address executing the exported transaction (e.g. a multisig), checked for admin rights instead of the signer',
+            type: 'string',
+            requiresArg: true,
+        })
+        .check(argv => !argv.from || !!argv.export || !!argv.dryRun || 'Option --from can only be used together with --export or --dry-run');
+};
+
+// Listing commands differ in the default of the filter, so each of them describes its own options
+const addActiveFilterOptions = function (yargs, descriptions) {
+    return yargs
+        .option('active', {
+            describe: descriptions.active,
+            type: 'boolean',
+        })
+        .option('all', {
+            describe: descriptions.all,
+            type: 'boolean',
+        })
+        .conflicts('active', 'all');
+};
+
+// Signer only executes the change when it is submitted directly, the executor of an exported transaction is unknown without --from
+const getExecutorAddress = async function (argv, client) {
+    return argv.from ?? (argv.export ? undefined : await client.getSignerAddress());
+};
+
+const handleAdminChange = async function (argv, action) {
+    await handleErrors(argv.verbose, async ({ printSuccess }) => {
+        const client = await getClient(argv);
+        const plan = await client.planAdminChange({ action, address: argv.address, from: await getExecutorAddress(argv, client) });
+        const description = action === 'rely' ? `Add "${plan.address}" to SpellAttester admins` : `Remove "${plan.address}" from SpellAttester admins`;
+        if (argv.dryRun) {
+            printResult(argv.output, plan);
+            printSuccess(`Dry run succeeded: ${description}`);
+            return;
+        }
+        if (argv.export) {
+            const transaction = await client.createAdminChangeTransaction(plan);
+            exportTransaction(argv.export, argv.exportFormat, transaction, description);
+            printSuccess(`Unsigned transaction was saved into "${argv.export}"`);
+            printResult(argv.output, transaction);
+            return;
+        }
+        console.info(`Attempting to ${description[0].toLowerCase()}${description.slice(1)}...`);
+        const result = await client.changeAdmin(plan);
+        printSuccess(`Successfully changed admins: ${result.transactionHash}`);
+        printResult(argv.output, result);
+    });
+};
 
 yargs(hideBin(process.argv))
     .parserConfiguration({
@@ -37,17 +133,179 @@ yargs(hideBin(process.argv))
                     type: 'string',
                     demandOption: true,
                     requiresArg: true,
+                })
+                .option('dry-run', {
+                    describe: 'Only check resolver rules and simulate the transaction without submitting it',
+                    type: 'boolean',
+                })
+                .option('export', {
+                    describe: 'Path to a file where unsigned transaction should be saved instead of submitting it',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('export-format', {
+                    describe: 'Format of the exported transaction',
+                    choices: EXPORT_FORMATS,
+                    default: 'transaction',
+                    requiresArg: true,
                 });
         },
-        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
             const options = {
                 userAddress: argv.userAddress,
                 userPseudonym: argv.userPseudonym,
                 teamName: argv.teamName,
             };
+            if (argv.dryRun) {
+                console.info(`Attempting to simulate identity attestation for ${prettify(options)}...`);
+                const simulation = await client.simulateAttestation('identity', options);
+                printResult(argv.output, simulation);
+                reportSimulation(simulation, { printSuccess, printError });
+                return;
+            }
+            if (argv.export) {
+                const transaction = await client.createAttestationTransaction('identity', options);
+                exportTransaction(argv.export, argv.exportFormat, transaction, `Create identity attestation for ${JSON.stringify(options)}`);
+                printSuccess(`Unsigned identity attestation transaction was saved into "${argv.export}"`);
+                printResult(argv.output, transaction);
+                return;
+            }
             console.info(`Attempting to create identity attestation for ${prettify(options)}...`);
-            const { url } = await createAttestation(await getProvider(), 'identity', options, argv.verbose);
-            printSuccess(`Successfully created new identity attestation: ${url}`);
+            const result = await client.createAttestation('identity', options);
+            printSuccess(`Successfully created new identity attestation: ${result.url || result.id}`);
+            printResult(argv.output, { schemaName: 'identity', ...result });
+        }),
+    )
+    .command(
+        'import-identities <file>',
+        'Create identity attestations for all new members of the roster file',
+        (yargs) => {
+            return yargs
+                .positional('file', {
+                    describe: 'Path to CSV, JSON or YAML file listing identities (address, pseudonym, team)',
+                    type: 'string',
+                })
+                .option('dry-run', {
+                    describe: 'Only validate the roster and compare it with on-chain identities without submitting a transaction',
+                    type: 'boolean',
+                })
+                .option('export', {
+                    describe: 'Path to a file where unsigned transaction should be saved instead of submitting it',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('export-format', {
+                    describe: 'Format of the exported transaction',
+                    choices: EXPORT_FORMATS,
+                    default: 'transaction',
+                    requiresArg: true,
+                })
+                .option('allow-partial', {
+                    describe: 'Import valid identities even if other rows are invalid or conflicting',
+                    type: 'boolean',
+                })
+                .epilogue(`Nothing is imported while any row is invalid or conflicting, unless --allow-partial is provided. Partial import exits with code ${IMPORT_EXIT_CODES.partial}`);
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
+            const identities = readRoster(argv.file);
+            console.info(`Comparing ${identities.length} identities from "${argv.file}" with the attested ones...`);
+            let plan = await client.planIdentityImport(identities);
+            const missingIdentities = plan.filter(({ status }) => status === 'missing');
+            const failedIdentities = getFailedIdentities(plan);
+            // Nothing is submitted while some rows are invalid or conflicting, unless partial import is explicitly allowed
+            const isSubmitted = !argv.dryRun && missingIdentities.length > 0 && (!failedIdentities.length || !!argv.allowPartial);
+            if (isSubmitted && argv.export) {
+                const transaction = await client.createMultiAttestationTransaction('identity', missingIdentities.map(toIdentityOptions));
+                exportTransaction(argv.export, argv.exportFormat, transaction, `Create ${missingIdentities.length} identity attestations from "${argv.file}"`);
+                printSuccess(`Unsigned transaction attesting ${missingIdentities.length} identities was saved into "${argv.export}"`);
+            } else if (isSubmitted) {
+                console.info(`Attempting to create ${missingIdentities.length} identity attestations...`);
+                plan = await client.importIdentities(plan, { allowPartial: argv.allowPartial });
+            }
+            if (argv.output === 'table') {
+                console.table(plan.map(({ row, userPseudonym, teamName, userAddress, status, message }) => ({ row, userPseudonym, teamName, userAddress, status, message })));
+            } else {
+                printResult(argv.output, plan);
+            }
+            if (failedIdentities.length) {
+                const isRefused = !argv.dryRun && missingIdentities.length > 0 && !isSubmitted;
+                printError(`${failedIdentities.length} identities can not be imported, please check rows ${failedIdentities.map(({ row }) => row).join(', ')}${isRefused ? ' (nothing is submitted, use --allow-partial to import the remaining ones)' : ''}`);
+                process.exit(isSubmitted ? IMPORT_EXIT_CODES.partial : 1);
+            }
+            const countByStatus = status => plan.filter(identity => identity.status === status).length;
+            printSuccess(`Roster is processed: ${countByStatus('attested')} attested, ${countByStatus('missing')} missing, ${countByStatus('exists')} already existing`);
+        }),
+    )
+    .command(
+        'rotate-identity',
+        'Move identity of the pseudonym to a new address',
+        (yargs) => {
+            return yargs
+                .option('user-pseudonym', {
+                    describe: 'Pseudonym with an active identity',
+                    group: 'Required options:',
+                    type: 'string',
+                    demandOption: true,
+                    requiresArg: true,
+                })
+                .option('new-address', {
+                    describe: 'New ethereum address of the user',
+                    group: 'Required options:',
+                    type: 'string',
+                    demandOption: true,
+                    requiresArg: true,
+                })
+                .option('team-name', {
+                    describe: 'New team of the user, defaults to the current one',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('dry-run', {
+                    describe: 'Only check that the identity can be rotated without submitting transactions',
+                    type: 'boolean',
+                })
+                .option('export', {
+                    describe: 'Path to a file where unsigned revocation and attestation transactions should be saved instead of submitting them',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('export-format', {
+                    describe: 'Format of the exported transactions',
+                    choices: EXPORT_FORMATS,
+                    default: 'transaction',
+                    requiresArg: true,
+                });
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
+            console.info(`Attempting to find active identity of "${argv.userPseudonym}"...`);
+            const plan = await client.planIdentityRotation({
+                userPseudonym: argv.userPseudonym,
+                newAddress: argv.newAddress,
+                teamName: argv.teamName,
+            });
+            for (const spell of plan.openSpells) {
+                const deploymentStatus = spell.hasDeployment ? 'already attested with the old address' : 'should be attested with the new address';
+                printError(`Warning: "${argv.userPseudonym}" is ${spell.role} of the not yet verified spell "${spell.payloadId}", the deployment ${deploymentStatus}`);
+            }
+            if (argv.dryRun) {
+                printResult(argv.output, plan);
+                printSuccess(`Identity can be rotated from "${plan.identity.userAddress}" to "${plan.newIdentity.userAddress}"`);
+                return;
+            }
+            if (argv.export) {
+                const transactions = await client.createIdentityRotationTransactions(plan);
+                exportTransaction(argv.export, argv.exportFormat, transactions, `Rotate identity of "${argv.userPseudonym}" to ${plan.newIdentity.userAddress}`);
+                printSuccess(`Unsigned revocation and attestation transactions were saved into "${argv.export}", they must be executed in this order`);
+                printResult(argv.output, transactions);
+                return;
+            }
+            console.info(`Attempting to move identity from "${plan.identity.userAddress}" to "${plan.newIdentity.userAddress}"...`);
+            const result = await client.rotateIdentity(plan);
+            printSuccess(`Successfully rotated identity: ${result.attestation.url || result.attestation.id}`);
+            printResult(argv.output, { ...plan, ...result });
         }),
     )
     .command(
@@ -82,18 +340,49 @@ yargs(hideBin(process.argv))
                     type: 'string',
                     demandOption: true,
                     requiresArg: true,
+                })
+                .option('dry-run', {
+                    describe: 'Only check resolver rules and simulate the transaction without submitting it',
+                    type: 'boolean',
+                })
+                .option('export', {
+                    describe: 'Path to a file where unsigned transaction should be saved instead of submitting it',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('export-format', {
+                    describe: 'Format of the exported transaction',
+                    choices: EXPORT_FORMATS,
+                    default: 'transaction',
+                    requiresArg: true,
                 });
         },
-        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
             const options = {
                 payloadId: argv.payloadId,
                 crafter: argv.crafter,
                 reviewerA: argv.reviewerA,
                 reviewerB: argv.reviewerB,
             };
+            if (argv.dryRun) {
+                console.info(`Attempting to simulate Spell attestation for ${prettify(options)}...`);
+                const simulation = await client.simulateAttestation('spell', options);
+                printResult(argv.output, simulation);
+                reportSimulation(simulation, { printSuccess, printError });
+                return;
+            }
+            if (argv.export) {
+                const transaction = await client.createAttestationTransaction('spell', options);
+                exportTransaction(argv.export, argv.exportFormat, transaction, `Create Spell attestation for ${JSON.stringify(options)}`);
+                printSuccess(`Unsigned Spell attestation transaction was saved into "${argv.export}"`);
+                printResult(argv.output, transaction);
+                return;
+            }
             console.info(`Attempting to create Spell attestation for ${prettify(options)}...`);
-            const { url } = await createAttestation(await getProvider(), 'spell', options, argv.verbose);
-            printSuccess(`Successfully created new Spell attestation: ${url}`);
+            const result = await client.createAttestation('spell', options);
+            printSuccess(`Successfully created new Spell attestation: ${result.url || result.id}`);
+            printResult(argv.output, { schemaName: 'spell', ...result });
         }),
     )
     .command(
@@ -116,69 +405,362 @@ yargs(hideBin(process.argv))
                     requiresArg: true,
                 })
                 .option('payload-hash', {
-                    describe: 'Code hash of the flattened deployed spell',
-                    group: 'Required options:',
+                    describe: 'Expected code hash of the deployed spell (computed locally if omitted)',
                     type: 'string',
-                    demandOption: true,
+                    requiresArg: true,
+                })
+                .option('payload-artifact', {
+                    describe: 'Path to the build artifact (forge or hardhat json) or plain deployed bytecode of the spell',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('dry-run', {
+                    describe: 'Only check resolver rules and simulate the transaction without submitting it',
+                    type: 'boolean',
+                })
+                .option('export', {
+                    describe: 'Path to a file where unsigned transaction should be saved instead of submitting it',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('export-format', {
+                    describe: 'Format of the exported transaction',
+                    choices: EXPORT_FORMATS,
+                    default: 'transaction',
                     requiresArg: true,
                 });
         },
-        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
-            const options = {
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
+            console.info(`Attempting to compute code hash of the payload "${argv.payloadAddress}"...`);
+            const payloadHashes = await client.getPayloadHashes({
                 payloadId: argv.payloadId,
                 payloadAddress: argv.payloadAddress,
                 payloadHash: argv.payloadHash,
+                payloadArtifact: argv.payloadArtifact,
+            });
+            if (argv.output === 'table') {
+                console.table(payloadHashes.map(({ source, hash }) => ({ source, hash })));
+            }
+            const options = {
+                payloadId: argv.payloadId,
+                payloadAddress: argv.payloadAddress,
+                payloadHash: verifyPayloadHashes(payloadHashes),
             };
+            if (argv.dryRun) {
+                console.info(`Attempting to simulate deployment attestation for ${prettify(options)}...`);
+                const simulation = await client.simulateAttestation('deployment', options);
+                printResult(argv.output, simulation);
+                reportSimulation(simulation, { printSuccess, printError });
+                return;
+            }
+            if (argv.export) {
+                const transaction = await client.createAttestationTransaction('deployment', options);
+                exportTransaction(argv.export, argv.exportFormat, transaction, `Create deployment attestation for ${JSON.stringify(options)}`);
+                printSuccess(`Unsigned deployment attestation transaction was saved into "${argv.export}"`);
+                printResult(argv.output, transaction);
+                return;
+            }
             console.info(`Attempting to create deployment attestation for ${prettify(options)}...`);
-            const { url } = await createAttestation(await getProvider(), 'deployment', options, argv.verbose);
-            printSuccess(`Successfully created new deployment attestation: ${url}`);
+            const result = await client.createAttestation('deployment', options);
+            printSuccess(`Successfully created new deployment attestation: ${result.url || result.id}`);
+            printResult(argv.output, { schemaName: 'deployment', ...result });
         }),
     )
     .command(
-        'revoke [attestation-uid]',
-        'Revoke existing attestation',
+        'wizard',
+        'Guide through attesting deployment of the spell you are a member of',
         () => {},
         async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+            const client = await getClient(argv);
+            const address = await client.getSignerAddress();
+            console.info(`Attempting to find spells of "${address}"...`);
+            const printer = {
+                info: message => console.info(message),
+                warn: message => console.warn(message),
+                table: rows => printProgressTable(argv.output, rows),
+            };
+            const options = await runWizard(client.provider, address, { ask, choose, confirm }, printer);
+            if (!options) {
+                console.info('Nothing was submitted');
+                return;
+            }
+            console.info(`Attempting to create deployment attestation for ${prettify(options)}...`);
+            const result = await client.createAttestation('deployment', options);
+            printSuccess(`Successfully created new deployment attestation: ${result.url || result.id}`);
+            printResult(argv.output, { schemaName: 'deployment', ...result });
+        }),
+    )
+    .command(
+        'revoke [attestation-uid]',
+        'Revoke existing attestation or all attestations matching the filters',
+        (yargs) => {
+            return addActiveFilterOptions(yargs, {
+                active: 'Only list not yet revoked attestations (default)',
+                all: 'Also list already revoked attestations, they are skipped during revocation',
+            })
+                .option('schema', {
+                    describe: 'Only revoke attestations of the schema',
+                    choices: ['identity', 'spell', 'deployment'],
+                    requiresArg: true,
+                })
+                .option('payload-id', {
+                    describe: 'Only revoke spell and deployment attestations of the spell',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('pseudonym', {
+                    describe: 'Only revoke identity, spell membership and deployment attestations of the pseudonym',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('yes', {
+                    describe: 'Revoke all matching attestations without asking for confirmation',
+                    type: 'boolean',
+                })
+                .option('dry-run', {
+                    describe: 'Only check resolver rules and simulate the transaction without submitting it',
+                    type: 'boolean',
+                })
+                .option('export', {
+                    describe: 'Path to a file where unsigned transaction should be saved instead of submitting it',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('export-format', {
+                    describe: 'Format of the exported transaction',
+                    choices: EXPORT_FORMATS,
+                    default: 'transaction',
+                    requiresArg: true,
+                });
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
             const attestationUid = argv.attestationUid;
             if (!attestationUid) {
+                const filters = { schemaName: argv.schema, payloadId: argv.payloadId, pseudonym: argv.pseudonym };
+                const hasFilters = Object.values(filters).some(value => !!value);
                 console.info(`No [attestation-uid] provided, attempting to fetch all attestations that are possible to revoke...`);
-                const signer = await getSigner();
-                const allEvents = await getAtttestationEventsByAttester(await getProvider(), signer.address);
-                if (!allEvents.length) {
-                    console.info(`No previous attestations found from current address "${signer.address}"`);
-                } else {
-                    console.table(allEvents.map(formatAttestationEvent));
+                const signerAddress = await client.getSignerAddress();
+                const listedAttestations = await client.getAttestations({ ...filters, attester: signerAddress, isActive: getActiveFilter(argv, true) });
+                if (!listedAttestations.length) {
+                    console.info(`No matching attestations found from current address "${signerAddress}"`);
+                    return;
                 }
+                // Listing is only the result when nothing is revoked, otherwise stdout is reserved for the revocation result
+                printProgressTable(argv.output, listedAttestations.map(formatAttestation));
+                if (!hasFilters) {
+                    console.info('Please provide [attestation-uid] or any of the --schema, --payload-id, --pseudonym filters to revoke attestations');
+                    printResult(argv.output, listedAttestations);
+                    return;
+                }
+                const attestations = listedAttestations.filter(({ isActive }) => isActive);
+                if (!attestations.length) {
+                    console.info('All matching attestations are already revoked');
+                    printResult(argv.output, listedAttestations);
+                    return;
+                }
+                if (argv.dryRun) {
+                    console.info(`Attempting to simulate revocation of ${attestations.length} attestations...`);
+                    const simulation = await client.simulateRevocations(attestations);
+                    printResult(argv.output, simulation);
+                    reportSimulation(simulation, { printSuccess, printError });
+                    return;
+                }
+                if (argv.export) {
+                    const transaction = await client.createMultiRevocationTransaction(attestations);
+                    exportTransaction(argv.export, argv.exportFormat, transaction, `Revoke attestations ${attestations.map(({ uid }) => uid).join(', ')}`);
+                    printSuccess(`Unsigned revocation transaction was saved into "${argv.export}"`);
+                    printResult(argv.output, transaction);
+                    return;
+                }
+                if (!argv.yes && !await confirm(`Revoke ${attestations.length} attestations listed above`)) {
+                    console.info('Nothing was revoked');
+                    return;
+                }
+                console.info(`Attempting to revoke ${attestations.length} attestations...`);
+                const results = await client.revokeAttestations(attestations);
+                printSuccess(`Successfully revoked ${results.length} attestations in transaction "${results[0].transactionHash}"`);
+                printResult(argv.output, results);
+                return;
+            }
+            if (argv.dryRun) {
+                console.info(`Attempting to simulate revocation of attestation ${attestationUid}...`);
+                const simulation = await client.simulateRevocation(attestationUid);
+                printResult(argv.output, simulation);
+                reportSimulation(simulation, { printSuccess, printError });
+                return;
+            }
+            if (argv.export) {
+                const transaction = await client.createRevocationTransaction(attestationUid);
+                exportTransaction(argv.export, argv.exportFormat, transaction, `Revoke attestation ${attestationUid}`);
+                printSuccess(`Unsigned revocation transaction was saved into "${argv.export}"`);
+                printResult(argv.output, transaction);
                 return;
             }
             console.info(`Attempting to revoke attestation ${attestationUid}...`);
-            const { url } = await revokeAttestation(await getProvider(), attestationUid, argv.verbose);
-            printSuccess(`Successfully revoked attestation: ${url}`);
+            const result = await client.revokeAttestation(attestationUid);
+            printSuccess(`Successfully revoked attestation: ${result.url || result.id}`);
+            printResult(argv.output, result);
+        }),
+    )
+    .command(
+        'sign-deployment',
+        'Sign deployment attestation off-chain, so it can be submitted by anyone via the relay command',
+        (yargs) => {
+            return yargs
+                .option('payload-id', {
+                    describe: 'String uniquely identifying the spell',
+                    group: 'Required options:',
+                    type: 'string',
+                    demandOption: true,
+                    requiresArg: true,
+                })
+                .option('payload-address', {
+                    describe: 'Address of the deployed spell',
+                    group: 'Required options:',
+                    type: 'string',
+                    demandOption: true,
+                    requiresArg: true,
+                })
+                .option('file', {
+                    describe: 'Path to a file where the signed request should be saved',
+                    group: 'Required options:',
+                    type: 'string',
+                    demandOption: true,
+                    requiresArg: true,
+                })
+                .option('payload-hash', {
+                    describe: 'Expected code hash of the deployed spell (computed locally if omitted)',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('payload-artifact', {
+                    describe: 'Path to the build artifact (forge or hardhat json) or plain deployed bytecode of the spell',
+                    type: 'string',
+                    requiresArg: true,
+                });
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+            const client = await getClient(argv);
+            console.info(`Attempting to compute code hash of the payload "${argv.payloadAddress}"...`);
+            const payloadHashes = await client.getPayloadHashes({
+                payloadId: argv.payloadId,
+                payloadAddress: argv.payloadAddress,
+                payloadHash: argv.payloadHash,
+                payloadArtifact: argv.payloadArtifact,
+            });
+            if (argv.output === 'table') {
+                console.table(payloadHashes.map(({ source, hash }) => ({ source, hash })));
+            }
+            const options = {
+                payloadId: argv.payloadId,
+                payloadAddress: argv.payloadAddress,
+                payloadHash: verifyPayloadHashes(payloadHashes),
+            };
+            console.info(`Attempting to sign deployment attestation for ${prettify(options)}...`);
+            const request = await client.signDelegatedAttestation('deployment', options);
+            saveDelegatedRequest(argv.file, request);
+            printSuccess(`Signed deployment attestation was saved into "${argv.file}"`);
+            printResult(argv.output, request);
+        }),
+    )
+    .command(
+        'sign-revocation <attestation-uid>',
+        'Sign revocation off-chain, so it can be submitted by anyone via the relay command',
+        (yargs) => {
+            return yargs
+                .option('file', {
+                    describe: 'Path to a file where the signed request should be saved',
+                    group: 'Required options:',
+                    type: 'string',
+                    demandOption: true,
+                    requiresArg: true,
+                });
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+            const client = await getClient(argv);
+            console.info(`Attempting to sign revocation of attestation ${argv.attestationUid}...`);
+            const request = await client.signDelegatedRevocation(argv.attestationUid);
+            saveDelegatedRequest(argv.file, request);
+            printSuccess(`Signed revocation was saved into "${argv.file}"`);
+            printResult(argv.output, request);
+        }),
+    )
+    .command(
+        'relay <file>',
+        'Verify and submit attestation or revocation signed by someone else',
+        () => {},
+        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+            const client = await getClient(argv);
+            const request = readDelegatedRequest(argv.file);
+            console.info(`Attempting to relay ${request.type} signed by "${request.attester}"...`);
+            const result = await client.relayDelegatedRequest(request);
+            printSuccess(`Successfully relayed ${request.type}: ${result.url || result.id}`);
+            printResult(argv.output, result);
+        }),
+    )
+    .command(
+        'submit-signed <raw-transaction>',
+        'Submit pre-signed raw transaction (hex string or path to a file containing it)',
+        () => {},
+        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+            const client = await getClient(argv);
+            const rawTransaction = readRawTransaction(argv.rawTransaction);
+            console.info(`Attempting to submit signed transaction...`);
+            const result = await client.submitSignedTransaction(rawTransaction);
+            printSuccess(`Successfully submitted transaction "${result.transactionHash}" (block ${result.blockNumber})`);
+            printResult(argv.output, result);
         }),
     )
     .command(
         'status [payload-id]',
         'Get status of existing spell',
-        () => {},
+        (yargs) => {
+            return addActiveFilterOptions(yargs, {
+                active: 'Only show not revoked attestations',
+                all: 'Show both active and revoked attestations (default)',
+            });
+        },
         async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
             const payloadId = argv.payloadId;
+            const isActive = getActiveFilter(argv, false);
             if (!payloadId) {
                 console.info(`Attempting to fetch all previously attested Spells...`);
-                const spellAttestations = await getSpellEvents(await getProvider());
+                const spellAttestations = await client.getAttestations({ schemaName: 'spell', isActive });
                 if (spellAttestations.length === 0) {
-                    console.info(`No previous Spell attestation events found`);
+                    console.info(`No previous Spell attestations found`);
                     return;
                 }
-                console.info(`Found the following Spell attestation events:`);
-                console.table(spellAttestations.map(formatAttestationEvent));
+                if (argv.output === 'table') {
+                    console.info(`Found the following Spell attestations:`);
+                    console.table(spellAttestations.map(formatAttestation));
+                } else {
+                    printResult(argv.output, spellAttestations);
+                }
                 return;
             }
             console.info(`Attempting to fetch current status of ${payloadId}...`);
-            const spellStatus = await getSpellStatus(await getProvider(), payloadId);
+            const spellStatus = await client.getSpellStatus(payloadId);
+            if (isActive) {
+                spellStatus.events = spellStatus.events.filter(event => event.attestation.revocationTime.toString() === '0');
+            }
             if (!spellStatus.events.length) {
                 console.info(`No previous attestation events found for "${payloadId}"`);
+            }
+            if (argv.output === 'json') {
+                printResult(argv.output, {
+                    ...spellStatus,
+                    payloadId,
+                    events: spellStatus.events.map(serializeAttestationEvent),
+                });
             } else {
-                console.table(spellStatus.events.map(formatAttestationEvent));
+                printEvents(argv.output, spellStatus.events);
+            }
+            if (argv.output === 'table' && spellStatus.members.length) {
+                console.info('Review progress of the spell members:');
+                console.table(spellStatus.members.map(formatSpellMember));
             }
             if (spellStatus.reason) {
                 printError(spellStatus.message);
@@ -187,6 +769,410 @@ yargs(hideBin(process.argv))
             }
         }),
     )
+    .command(
+        'identities',
+        'List active and revoked identities grouped by team',
+        (yargs) => {
+            return addActiveFilterOptions(yargs, {
+                active: 'Only list not revoked identities',
+                all: 'List both active and revoked identities (default)',
+            });
+        },
+        async argv => handleErrors(argv.verbose, async () => {
+            const client = await getClient(argv);
+            console.info('Attempting to fetch all attested identities...');
+            const identities = await client.getIdentities({ isActive: getActiveFilter(argv, false) });
+            if (!identities.length) {
+                console.info('No identity attestations found');
+            }
+            if (argv.output !== 'table') {
+                printResult(argv.output, argv.output === 'json' ? groupIdentitiesByTeam(identities) : identities);
+                return;
+            }
+            for (const { teamName, activeMembers, members } of groupIdentitiesByTeam(identities)) {
+                console.info(`Team "${teamName}" (${activeMembers} active):`);
+                console.table(members.map(formatIdentity));
+            }
+        }),
+    )
+    .command(
+        'whois <address-or-pseudonym>',
+        'Get current identity, its history and spells of the address or pseudonym',
+        () => {},
+        async argv => handleErrors(argv.verbose, async ({ printError }) => {
+            const client = await getClient(argv);
+            const query = argv.addressOrPseudonym;
+            console.info(`Attempting to fetch identity of "${query}"...`);
+            const whois = await client.getWhois(query);
+            if (argv.output === 'json') {
+                printResult(argv.output, { ...whois, history: whois.history.map(serializeAttestationEvent) });
+            } else {
+                printEvents(argv.output, whois.history);
+            }
+            if (argv.output === 'table' && whois.identity) {
+                console.info('Current identity:');
+                console.table([formatIdentity(whois.identity)]);
+            }
+            if (argv.output === 'table' && whois.spells.length) {
+                console.info('Participation in spells:');
+                console.table(whois.spells);
+            }
+            if (!whois.identity) {
+                printError(`No identity is attested for "${query}"`);
+                process.exit(1);
+            }
+        }),
+    )
+    .command(
+        'watch <payload-id>',
+        'Follow the spell until it is fully attested',
+        (yargs) => {
+            return yargs
+                .option('interval', {
+                    describe: 'Polling interval in seconds',
+                    type: 'number',
+                    default: 15,
+                    requiresArg: true,
+                })
+                .epilogue(`Exits with code ${WATCH_EXIT_CODES.verified} when the spell is verified or with code ${WATCH_EXIT_CODES.revoked} when a relevant attestation is revoked. With \`--output json\` events are printed as they arrive, one JSON object per line`);
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
+            const payloadId = argv.payloadId;
+            console.info(`Watching attestation events of "${payloadId}" every ${argv.interval} seconds...`);
+            const result = await client.watchSpell(payloadId, {
+                interval: argv.interval * 1000,
+                onEvent: createEventPrinter(argv.output),
+            });
+            if (result.outcome === 'revoked') {
+                printError(`Relevant attestation was revoked: ${result.event.url}`);
+            } else {
+                printSuccess(`The spell "${result.address}" was deployed and reviewed`);
+            }
+            process.exit(WATCH_EXIT_CODES[result.outcome]);
+        }),
+    )
+    .command(
+        'report <payload-id>',
+        'Create an audit report of the spell with its members, deployments, revocations and final outcome',
+        (yargs) => {
+            return yargs
+                .option('block', {
+                    describe: 'Block number the report is created at, defaults to the latest block',
+                    type: 'number',
+                    requiresArg: true,
+                })
+                .option('digest', {
+                    describe: 'Add a digest that others can reproduce by running the same command with the same block',
+                    type: 'boolean',
+                })
+                .option('expected-digest', {
+                    describe: 'Digest of a previously published report that must match the created one',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('markdown', {
+                    describe: 'Path to a file where the Markdown report should be saved',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('json', {
+                    describe: 'Path to a file where the JSON report should be saved',
+                    type: 'string',
+                    requiresArg: true,
+                });
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
+            const payloadId = argv.payloadId;
+            console.info(`Attempting to create a report of "${payloadId}"...`);
+            const report = await client.getSpellReport(payloadId, {
+                blockNumber: argv.block,
+                digest: argv.digest || !!argv.expectedDigest,
+            });
+            saveReport(report, { markdownPath: argv.markdown, jsonPath: argv.json });
+            if (argv.output === 'table') {
+                console.info(formatReportMarkdown(report));
+            } else {
+                printResult(argv.output, argv.output === 'csv' ? toReportRows(report) : report);
+            }
+            if (argv.expectedDigest && argv.expectedDigest.toLowerCase() !== report.digest) {
+                printError(`Report digest "${report.digest}" does not match the expected "${argv.expectedDigest}"`);
+                process.exit(1);
+            }
+            if (argv.expectedDigest) {
+                printSuccess(`Report digest matches the expected one at block ${report.blockNumber}`);
+            }
+        }),
+    )
+    .command(
+        'verify <payload-id>',
+        'Re-derive the verdict of the spell from raw EAS attestations and compare it with the SpellAttester',
+        (yargs) => {
+            return yargs
+                .epilogue(`Exits with code ${VERIFICATION_EXIT_CODES.discrepancy} when the replayed rules disagree with the SpellAttester or its resolvers`);
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
+            const payloadId = argv.payloadId;
+            console.info(`Attempting to replay all attestations of "${payloadId}"...`);
+            const verification = await client.verifySpell(payloadId);
+            if (argv.output === 'table') {
+                if (verification.discrepancies.length) {
+                    console.table(verification.discrepancies);
+                }
+            } else {
+                printResult(argv.output, argv.output === 'csv' ? verification.discrepancies : verification);
+            }
+            const { outcome } = verification;
+            const verdict = outcome.isVerified ? `is verified at "${outcome.address}"` : `is not verified ("${outcome.reason}")`;
+            if (!verification.isConsistent) {
+                printError(`Found discrepancies (${verification.discrepancies.length}), SpellAttester claims the spell ${verdict}`);
+                process.exit(VERIFICATION_EXIT_CODES.discrepancy);
+            }
+            printSuccess(`Replayed ${verification.replayedEvents} events at block ${verification.blockNumber}, both agree that the spell ${verdict}`);
+        }),
+    )
+    .command(
+        'verify-crosschain <payload-id>',
+        'Verify that the attested payload hash matches the code on other chains',
+        (yargs) => {
+            return yargs
+                .option('target', {
+                    describe: 'Network profile name or RPC url of the chain where the payload code should be checked',
+                    group: 'Required options:',
+                    type: 'array',
+                    string: true,
+                    demandOption: true,
+                    requiresArg: true,
+                })
+                .epilogue(`Exits with code ${CROSSCHAIN_EXIT_CODES.match} when the code matches on all target chains or with code ${CROSSCHAIN_EXIT_CODES.mismatch} otherwise`);
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            const client = await getClient(argv);
+            const payloadId = argv.payloadId;
+            const targets = [];
+            for (const target of argv.target) {
+                if (/^https?:\/\//.test(target)) {
+                    // Only display the host, since RPC urls often contain API keys
+                    targets.push({ name: new URL(target).host, provider: await getProviderByRpcUrl(target) });
+                } else {
+                    targets.push({ name: target, provider: await getProvider(target) });
+                }
+            }
+            console.info(`Comparing attested payload hash of "${payloadId}" with the code on ${targets.map(({ name }) => name).join(', ')}...`);
+            const results = await client.verifyCrossChainPayload(payloadId, targets);
+            if (argv.output === 'table') {
+                console.table(results);
+            } else {
+                printResult(argv.output, results);
+            }
+            const failedResults = results.filter(({ status }) => status !== 'match');
+            if (failedResults.length) {
+                printError(`Payload code does not match the attested hash on: ${failedResults.map(({ network, status }) => `${network} (${status})`).join(', ')}`);
+                process.exit(CROSSCHAIN_EXIT_CODES.mismatch);
+            }
+            printSuccess(`Payload code matches the attested hash on all ${results.length} target chain(s)`);
+        }),
+    )
+    .command(
+        'admins <command>',
+        'List and manage admins of the SpellAttester',
+        (yargs) => {
+            return yargs
+                .command(
+                    'list',
+                    'List current and former admins, reconstructed from the events and verified against the contract',
+                    () => {},
+                    async argv => handleErrors(argv.verbose, async ({ printError }) => {
+                        const client = await getClient(argv);
+                        console.info('Attempting to fetch admins of the SpellAttester...');
+                        const admins = await client.getAdmins();
+                        if (argv.output === 'table') {
+                            console.table(admins.map(admin => ({ ...admin, isAdmin: admin.isAdmin ? 'yes' : 'no', isVerified: admin.isVerified ? 'yes' : 'no' })));
+                        } else {
+                            printResult(argv.output, admins);
+                        }
+                        for (const admin of admins.filter(({ isVerified }) => !isVerified)) {
+                            printError(`Warning: admin state of "${admin.address}" does not match its latest "${admin.lastEvent}" event`);
+                        }
+                    }),
+                )
+                .command(
+                    'add <address>',
+                    'Make the address an admin of the SpellAttester',
+                    addGovernanceOptions,
+                    async argv => handleAdminChange(argv, 'rely'),
+                )
+                .command(
+                    'remove <address>',
+                    'Remove the address from admins of the SpellAttester (not the last admin or the signer)',
+                    addGovernanceOptions,
+                    async argv => handleAdminChange(argv, 'deny'),
+                )
+                .demandCommand(1);
+        },
+    )
+    .command(
+        'schema <command>',
+        'Manage attestation schemas used by the SpellAttester',
+        (yargs) => {
+            return yargs
+                .command(
+                    'file <schema-name> <schema-id>',
+                    'Point the SpellAttester to a schema registered in the EAS registry',
+                    (yargs) => {
+                        return addGovernanceOptions(yargs
+                            .positional('schema-name', {
+                                describe: 'Name of the schema',
+                                choices: SCHEMA_NAMES,
+                            }));
+                    },
+                    async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+                        const client = await getClient(argv);
+                        console.info(`Attempting to validate schema "${argv.schemaId}"...`);
+                        const plan = await client.planSchemaFiling({ schemaName: argv.schemaName, schemaId: argv.schemaId, from: await getExecutorAddress(argv, client) });
+                        const description = `File schema "${plan.schemaId}" as "${plan.schemaName}" in the SpellAttester`;
+                        if (argv.dryRun) {
+                            printResult(argv.output, plan);
+                            printSuccess(`Dry run succeeded: ${description}`);
+                            return;
+                        }
+                        if (argv.export) {
+                            const transaction = await client.createSchemaFilingTransaction(plan);
+                            exportTransaction(argv.export, argv.exportFormat, transaction, description);
+                            printSuccess(`Unsigned transaction was saved into "${argv.export}"`);
+                            printResult(argv.output, transaction);
+                            return;
+                        }
+                        console.info(`Attempting to file schema "${plan.schemaId}" as "${plan.schemaName}"...`);
+                        const result = await client.fileSchema(plan);
+                        printSuccess(`Successfully filed schema: ${result.transactionHash}`);
+                        printResult(argv.output, { ...plan, ...result });
+                    }),
+                )
+                .demandCommand(1);
+        },
+    )
+    .command(
+        'bootstrap',
+        'Deploy SpellAttester with all resolvers and schemas (and EAS itself on a local node) and save it as a network profile',
+        (yargs) => {
+            return yargs
+                .option('eas', {
+                    describe: 'Address of the EAS contract, deployed together with the registry on a local node when omitted',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('schema-registry', {
+                    describe: 'Address of the EAS SchemaRegistry contract',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('artifacts', {
+                    describe: 'Path to forge `out` or hardhat `artifacts` directory, defaults to the bytecode of the broadcasted deployment',
+                    type: 'string',
+                    requiresArg: true,
+                })
+                .option('profile', {
+                    describe: 'Name of the network profile where the deployed addresses are saved',
+                    type: 'string',
+                    default: 'local',
+                    requiresArg: true,
+                })
+                .option('verify', {
+                    describe: `Attest and revoke a test identity to verify the setup, defaults to true only on local chains (${LOCAL_CHAIN_IDS.join(', ')})`,
+                    type: 'boolean',
+                });
+        },
+        async argv => handleErrors(argv.verbose, async ({ printSuccess }) => {
+            const client = await getClient(argv);
+            assertNetworkProfileCanBeSaved(argv.profile, (await client.provider.getNetwork()).chainId);
+            console.info('Attempting to deploy SpellAttester, its resolvers and schemas...');
+            const result = await client.bootstrap({
+                easAttesterAddress: argv.eas,
+                easRegistryAddress: argv.schemaRegistry,
+                artifactsDir: argv.artifacts,
+            });
+            const rpcUrl = client.provider.connection.url;
+            const profilesPath = saveNetworkProfile(argv.profile, {
+                chainId: result.chainId,
+                rpcUrl,
+                spellAttesterAddress: result.spellAttesterAddress,
+                startBlock: result.startBlock,
+            });
+            printSuccess(`SpellAttester "${result.spellAttesterAddress}" is deployed and saved as "${argv.profile}" network profile into "${profilesPath}"`);
+            // Test identity can not be removed from the chain, so it is only created on other chains when explicitly requested
+            const isLocalChain = LOCAL_CHAIN_IDS.includes(result.chainId);
+            if (!(argv.verify ?? isLocalChain)) {
+                printResult(argv.output, result);
+                return;
+            }
+            if (!isLocalChain) {
+                console.warn(`Revoked test identity "bootstrap" will permanently stay on chain "${result.chainId}"`);
+            }
+
+            // New client is required to use the freshly saved profile
+            console.info('Attempting to attest and revoke a test identity...');
+            const provider = await getProviderByRpcUrl(rpcUrl);
+            const verificationClient = new SpellAttesterClient({
+                provider,
+                signer: () => getEnvSigner(provider),
+                network: argv.profile,
+                cache: false,
+                onProgress: message => console.info(message),
+            });
+            const verification = await verificationClient.verifyBootstrap();
+            printSuccess(`Setup is verified, test identity was attested and revoked: ${verification.attestation.url || verification.attestation.id}`);
+            printResult(argv.output, { ...result, verification });
+        }),
+    )
+    .command(
+        'doctor',
+        'Check RPC connection, SpellAttester deployment, its schemas and the signer',
+        () => {},
+        async argv => handleErrors(argv.verbose, async ({ printSuccess, printError }) => {
+            let checks;
+            try {
+                const client = await getClient(argv);
+                console.info('Attempting to check the configured deployment...');
+                checks = await client.runHealthChecks();
+            } catch (error) {
+                if (!(error instanceof ConfigurationError)) {
+                    throw error;
+                }
+                // Client can not be created when the RPC is unreachable or connected to an unexpected chain
+                checks = [{ name: 'RPC connection', status: 'fail', message: error.message }];
+            }
+            if (argv.output === 'table') {
+                console.table(checks);
+            } else {
+                printResult(argv.output, checks);
+            }
+            for (const { name, message } of checks.filter(({ status }) => status === 'warn')) {
+                printError(`Warning: ${name}: ${message}`);
+            }
+            const failedChecks = checks.filter(({ status }) => status === 'fail');
+            if (failedChecks.length) {
+                printError(`${failedChecks.length} of ${checks.length} checks failed`);
+                process.exit(1);
+            }
+            printSuccess('All checks passed');
+        }),
+    )
+    .command(
+        'networks',
+        'List available network profiles',
+        () => {},
+        async argv => handleErrors(argv.verbose, async () => {
+            const profiles = Object.entries(getNetworkProfiles()).map(([name, profile]) => ({ name, ...profile }));
+            if (argv.output === 'table') {
+                console.table(profiles);
+                return;
+            }
+            printResult(argv.output, profiles);
+        }),
+    )
     .command(
         'configure [key] [value]',
         'Configure env variables',
@@ -210,4 +1196,29 @@ yargs(hideBin(process.argv))
         description: 'Run with verbose logging',
         requiresArg: false,
     })
+    .option('output', {
+        type: 'string',
+        description: 'Format of the printed results, progress messages are written to stderr for non-table formats',
+        choices: OUTPUT_FORMATS,
+        default: 'table',
+        requiresArg: true,
+    })
+    .option('network', {
+        type: 'string',
+        description: 'Name of the network profile to use (see `networks` command), defaults to NETWORK env variable or the chain of RPC_URL',
+        requiresArg: true,
+    })
+    .option('spell-attester', {
+        type: 'string',
+        description: 'Address of the SpellAttester contract overriding the one of the network profile',
+        requiresArg: true,
+    })
+    .option('cache', {
+        type: 'boolean',
+        description: 'Serve confirmed attestation events from the local index (use --no-cache to always query the RPC)',
+        default: true,
+    })
+    .middleware(argv => redirectProgressOutput(argv.output))
+    .middleware(argv => setCacheOptions({ isEnabled: argv.cache }))
+    .middleware(argv => setNetworkOptions({ network: argv.network, spellAttesterAddress: argv.spellAttester }))
     .parse();
@@ -1,116 +1,369 @@
 import ethers from 'ethers';
 import { NO_EXPIRATION, ZERO_ADDRESS } from '@ethereum-attestation-service/eas-sdk';
-import { getEasAttesterContract, getEasRegistryContract, getSpellAttesterContract } from './contracts.js';
-import { getConfig, getDateFromBlockNumber, getSigner } from './network.js';
-import { decodeAttestationData, decodeErrorMessage, encodeAttestationData } from './helpers.js';
+import { getEasAttesterContract, getEasRegistryContract, getResolverContract, getSpellAttesterContract } from './contracts.js';
+import { getConfig, getDatesFromBlockNumbers, getSigner } from './network.js';
+import { decodeAttestationData, decodeErrorMessage, encodeAttestationData, hashString } from './helpers.js';
+import { checkAttestationRules, checkRevocationRules } from './rules.js';
+import { syncEventIndex } from './cache.js';
+import { multicall } from './multicall.js';
+import { toPlainValue } from './output.js';
+import { reportProgress } from './context.js';
+import { AttestationNotFoundError, TransactionError, decodeRevertReason } from './errors.js';
 
-const generateAttestationUrl = async function (provider, attestationId) {
+export const generateAttestationUrl = async function (provider, attestationId) {
     const config = await getConfig(provider);
+    if (!config.easScannerUrl) {
+        return;
+    }
     return `${config.easScannerUrl}attestation/view/${attestationId}`;
 };
 
-const getAttestation = async function (provider, attestationId) {
+export const getAttestation = async function (provider, attestationId) {
     const easAttester = await getEasAttesterContract(provider);
     const attestation = await easAttester.getAttestation(attestationId);
     if (attestation.uid === ethers.constants.HashZero) {
-        throw new Error('Attestation with uid not found');
+        throw new AttestationNotFoundError(attestationId);
     }
     return attestation;
 };
 
-export const getAttestationData = async function (provider, attestationId) {
-    const attestation = await getAttestation(provider, attestationId);
+// Reads all attestations and their schemas in a few batched calls
+export const getAttestationsData = async function (provider, attestationIds) {
+    const easAttester = await getEasAttesterContract(provider);
     const easRegistry = await getEasRegistryContract(provider);
-    const schemaRecord = await easRegistry.getSchema({ uid: attestation.schema });
-    return {
+    const uniqueAttestationIds = [...new Set(attestationIds)];
+    const attestations = await multicall(provider, uniqueAttestationIds.map(uid => ({
+        contract: easAttester.contract,
+        method: 'getAttestation',
+        args: [uid],
+    })));
+    const missingIndex = attestations.findIndex(attestation => attestation.uid === ethers.constants.HashZero);
+    if (missingIndex !== -1) {
+        throw new AttestationNotFoundError(uniqueAttestationIds[missingIndex]);
+    }
+    const schemaIds = [...new Set(attestations.map(attestation => attestation.schema))];
+    const schemaRecords = await multicall(provider, schemaIds.map(uid => ({
+        contract: easRegistry.contract,
+        method: 'getSchema',
+        args: [uid],
+    })));
+    const schemaIdToSchema = new Map(schemaIds.map((schemaId, index) => [schemaId, schemaRecords[index].schema]));
+    const attestationIdToData = new Map(attestations.map((attestation, index) => [uniqueAttestationIds[index], {
         ...attestation,
-        data: await decodeAttestationData(schemaRecord.schema, attestation),
-    };
+        data: decodeAttestationData(schemaIdToSchema.get(attestation.schema), attestation),
+    }]));
+    return attestationIds.map(attestationId => attestationIdToData.get(attestationId));
 };
 
-export const createAttestation = async function (provider, name, options, verbose) {
-    // Get relevant data
+export const getAttestationData = async function (provider, attestationId) {
+    const [attestation] = await getAttestationsData(provider, [attestationId]);
+    return attestation;
+};
+
+export const getSpellAttestation = async function (provider, payloadId) {
+    const spellResolver = await getResolverContract(provider, 'spell');
+    const attestationId = await spellResolver.payloadIdHashToAttestationId(hashString(payloadId));
+    if (attestationId === ethers.constants.HashZero) {
+        return undefined;
+    }
+    return await getAttestationData(provider, attestationId);
+};
+
+export const getCrafterDeployment = async function (provider, payloadId) {
+    const spellAttestation = await getSpellAttestation(provider, payloadId);
+    if (!spellAttestation) {
+        return undefined;
+    }
+    const crafter = spellAttestation.data.crafter;
+    const deploymentResolver = await getResolverContract(provider, 'deployment');
+    const payloadAddress = await deploymentResolver.payloadIdHashToPseudonymHashToPayloadAddress(hashString(payloadId), hashString(crafter));
+    if (payloadAddress === ethers.constants.AddressZero) {
+        return { crafter };
+    }
+    const payloadHash = await deploymentResolver.payloadIdHashToPseudonymHashToPayloadHash(hashString(payloadId), hashString(crafter));
+    return { crafter, payloadAddress, payloadHash };
+};
+
+const getSchemaRecordByName = async function (provider, name) {
     const spellAttester = await getSpellAttesterContract(provider);
     const schemaId = await spellAttester.schemaNameToSchemaId(ethers.utils.formatBytes32String(name));
     const easRegistry = await getEasRegistryContract(provider);
-    const schemaRecord = await easRegistry.getSchema({ uid: schemaId });
-    const easAttester = (await getEasAttesterContract(provider)).connect(getSigner(provider));
+    return await easRegistry.getSchema({ uid: schemaId });
+};
+
+const createAttestationRequestData = function (schemaRecord, options) {
+    return {
+        recipient: ZERO_ADDRESS,
+        expirationTime: NO_EXPIRATION,
+        revocable: true,
+        refUID: ethers.constants.HashZero,
+        // Encode options based on the types
+        data: encodeAttestationData(schemaRecord.schema, options),
+        value: 0,
+    };
+};
+
+export const createAttestationRequest = async function (provider, name, options) {
+    const schemaRecord = await getSchemaRecordByName(provider, name);
+    return {
+        schema: schemaRecord.uid,
+        data: createAttestationRequestData(schemaRecord, options),
+    };
+};
+
+export const createMultiAttestationRequest = async function (provider, name, optionsList) {
+    const schemaRecord = await getSchemaRecordByName(provider, name);
+    return {
+        schema: schemaRecord.uid,
+        data: optionsList.map(options => createAttestationRequestData(schemaRecord, options)),
+    };
+};
+
+export const createRevocationRequest = function (attestation) {
+    return {
+        schema: attestation.schema,
+        data: {
+            uid: attestation.uid,
+            value: 0,
+        },
+    };
+};
+
+export const createMultiRevocationRequests = function (attestations) {
+    const schemaToUids = new Map();
+    for (const { schema, uid } of attestations) {
+        schemaToUids.set(schema, [...schemaToUids.get(schema) ?? [], uid]);
+    }
+    return [...schemaToUids].map(([schema, uids]) => ({
+        schema,
+        data: uids.map(uid => ({ uid, value: 0 })),
+    }));
+};
+
+const createUnsignedTransaction = async function (provider, functionName, request) {
+    const easAttester = await getEasAttesterContract(provider);
+    const { chainId } = await provider.getNetwork();
+    return {
+        chainId,
+        to: easAttester.contract.address,
+        value: '0',
+        data: easAttester.contract.interface.encodeFunctionData(functionName, [request]),
+        request,
+    };
+};
+
+export const createAttestationTransaction = async function (provider, name, options) {
+    const attestationRequest = await createAttestationRequest(provider, name, options);
+    return await createUnsignedTransaction(provider, 'attest', attestationRequest);
+};
+
+export const createMultiAttestationTransaction = async function (provider, name, optionsList) {
+    const multiAttestationRequest = await createMultiAttestationRequest(provider, name, optionsList);
+    return await createUnsignedTransaction(provider, 'multiAttest', [multiAttestationRequest]);
+};
+
+export const createMultiRevocationTransaction = async function (provider, attestations) {
+    return await createUnsignedTransaction(provider, 'multiRevoke', createMultiRevocationRequests(attestations));
+};
+
+export const createRevocationTransaction = async function (provider, attestationId) {
+    const attestation = await getAttestation(provider, attestationId);
+    return await createUnsignedTransaction(provider, 'revoke', createRevocationRequest(attestation));
+};
+
+const estimateGas = async function (estimate) {
+    try {
+        return { gasEstimate: await estimate() };
+    } catch (error) {
+        return { error: decodeErrorMessage(error), errorCode: decodeRevertReason(error)?.code };
+    }
+};
+
+export const simulateAttestation = async function (provider, name, options) {
+    // Get relevant data
+    const signer = await getSigner(provider);
+    const attester = await signer.getAddress();
+    const easAttester = (await getEasAttesterContract(provider)).connect(signer);
+    const attestationRequest = await createAttestationRequest(provider, name, options);
+
+    // Check resolver rules and simulate the transaction
+    const violations = await checkAttestationRules(provider, name, attester, options);
+    const { gasEstimate, error, errorCode } = await estimateGas(() => easAttester.contract.estimateGas.attest(attestationRequest));
+    return { attester, violations, gasEstimate, error, errorCode };
+};
+
+export const simulateRevocation = async function (provider, attestationId) {
+    // Get relevant data
+    const signer = await getSigner(provider);
+    const revoker = await signer.getAddress();
+    const easAttester = (await getEasAttesterContract(provider)).connect(signer);
+    const attestation = await getAttestation(provider, attestationId);
+
+    // Check resolver rules and simulate the transaction
+    const violations = await checkRevocationRules(provider, revoker, attestation);
+    const { gasEstimate, error, errorCode } = await estimateGas(() => easAttester.contract.estimateGas.revoke(createRevocationRequest(attestation)));
+    return { revoker, violations, gasEstimate, error, errorCode };
+};
+
+export const simulateRevocations = async function (provider, attestations) {
+    // Get relevant data
+    const signer = await getSigner(provider);
+    const revoker = await signer.getAddress();
+    const easAttester = (await getEasAttesterContract(provider)).connect(signer);
 
-    // Encode options based on the types
-    const attestationData = encodeAttestationData(schemaRecord.schema, options);
+    // Check resolver rules and simulate the transaction
+    const violations = [];
+    for (const attestation of attestations) {
+        violations.push(...await checkRevocationRules(provider, revoker, attestation));
+    }
+    const { gasEstimate, error, errorCode } = await estimateGas(() => easAttester.contract.estimateGas.multiRevoke(createMultiRevocationRequests(attestations)));
+    return { revoker, violations, gasEstimate, error, errorCode };
+};
+
+export const createAttestation = async function (provider, name, options, verbose) {
+    // Get relevant data
+    const easAttester = (await getEasAttesterContract(provider)).connect(await getSigner(provider));
+    const attestationRequest = await createAttestationRequest(provider, name, options);
 
     // Make attestation
     try {
-        const transaction = await easAttester.attest({
-            schema: schemaId,
-            data: {
-                recipient: ZERO_ADDRESS,
-                expirationTime: NO_EXPIRATION,
-                revocable: true,
-                data: attestationData,
-            },
-        });
-        console.info(`Attestation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
+        const transaction = await easAttester.attest(attestationRequest);
+        reportProgress(provider, `Attestation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
         const attestationId = await transaction.wait();
         return {
             id: attestationId,
             url: await generateAttestationUrl(provider, attestationId),
+            transactionHash: transaction.tx.hash,
         };
     } catch (error) {
         if (verbose) {
             console.error(error);
         }
-        throw new Error(`Attestation can not be created: ${decodeErrorMessage(error)}`);
+        throw new TransactionError(`Attestation can not be created: ${decodeErrorMessage(error)}`, { cause: error });
+    }
+};
+
+export const createMultiAttestation = async function (provider, name, optionsList, verbose) {
+    // Get relevant data
+    const easAttester = (await getEasAttesterContract(provider)).connect(await getSigner(provider));
+    const multiAttestationRequest = await createMultiAttestationRequest(provider, name, optionsList);
+
+    // Make all attestations in a single transaction
+    try {
+        const transaction = await easAttester.multiAttest([multiAttestationRequest]);
+        reportProgress(provider, `Attestation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
+        const attestationIds = await transaction.wait();
+        return await Promise.all(attestationIds.map(async attestationId => ({
+            id: attestationId,
+            url: await generateAttestationUrl(provider, attestationId),
+            transactionHash: transaction.tx.hash,
+        })));
+    } catch (error) {
+        if (verbose) {
+            console.error(error);
+        }
+        throw new TransactionError(`Attestations can not be created: ${decodeErrorMessage(error)}`, { cause: error });
     }
 };
 
 export const revokeAttestation = async function (provider, attestationId, verbose) {
     // Get relevant data
-    const easAttester = (await getEasAttesterContract(provider)).connect(getSigner(provider));
+    const easAttester = (await getEasAttesterContract(provider)).connect(await getSigner(provider));
     const attestation = await getAttestation(provider, attestationId);
 
     // Revoke attestation
     try {
-        const transaction = await easAttester.revoke({
-            schema: attestation.schema,
-            data: {
-                uid: attestationId,
-                data: {
-                    uid: attestationId,
-                },
-            },
-        });
-        console.info(`Revocation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
+        const transaction = await easAttester.revoke(createRevocationRequest(attestation));
+        reportProgress(provider, `Revocation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
         await transaction.wait();
         return {
+            id: attestationId,
             url: await generateAttestationUrl(provider, attestationId),
+            transactionHash: transaction.tx.hash,
         };
     } catch (error) {
         if (verbose) {
             console.error(error);
         }
-        throw new Error(`Attestation can not be revoked: ${decodeErrorMessage(error)}`);
+        throw new TransactionError(`Attestation can not be revoked: ${decodeErrorMessage(error)}`, { cause: error });
     }
 };
 
-const getResolverEvents = async function (provider, schemaName, eventTypes, topics) {
+export const revokeAttestations = async function (provider, attestations, verbose) {
+    const easAttester = (await getEasAttesterContract(provider)).connect(await getSigner(provider));
+
+    // Revoke all attestations in a single transaction
+    try {
+        const transaction = await easAttester.multiRevoke(createMultiRevocationRequests(attestations));
+        reportProgress(provider, `Revocation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
+        await transaction.wait();
+        return await Promise.all(attestations.map(async ({ uid }) => ({
+            id: uid,
+            url: await generateAttestationUrl(provider, uid),
+            transactionHash: transaction.tx.hash,
+        })));
+    } catch (error) {
+        if (verbose) {
+            console.error(error);
+        }
+        throw new TransactionError(`Attestations can not be revoked: ${decodeErrorMessage(error)}`, { cause: error });
+    }
+};
+
+const matchesTopics = function (log, topics) {
+    return (topics ?? []).every((topic, position) => {
+        // Same as `eth_getLogs`, an array of topics matches any of them
+        const expectedTopics = [topic ?? []].flat().map(expectedTopic => expectedTopic.toLowerCase());
+        return !expectedTopics.length || expectedTopics.includes(log.topics[position]?.toLowerCase());
+    });
+};
+
+const getResolverEvents = async function (provider, schemaName, eventTypes, topics, blockRange) {
     const spellAttester = await getSpellAttesterContract(provider);
     const resolverAddress = await spellAttester.schemaNameToResolver(ethers.utils.formatBytes32String(schemaName));
-    const contract = new ethers.Contract(resolverAddress, [], provider);
-    const filters = topics?.length > 0
-        ? {
-                address: contract.address,
-                topics,
-            }
-        : '*';
-    const events = await contract.queryFilter(filters);
-    return Promise.all(events.map(async event => ({
-        ...event,
-        attester: ethers.utils.defaultAbiCoder.decode(['address'], event.topics[1])[0],
-        type: `${eventTypes[event.topics[0]] ?? 'Unknown'} ${schemaName}`,
-        date: await getDateFromBlockNumber(provider, event.blockNumber),
-        url: await generateAttestationUrl(provider, event.data),
-        attestation: await getAttestationData(provider, event.data),
+    const config = await getConfig(provider);
+    const enrichLogs = async (logs) => {
+        const dates = await getDatesFromBlockNumbers(provider, logs.map(log => log.blockNumber));
+        const attestations = await getAttestationsData(provider, logs.map(log => log.data));
+        return logs.map((log, index) => ({
+            timestamp: dates[index].getTime(),
+            attestation: toPlainValue(attestations[index]),
+        }));
+    };
+
+    // Confirmed events are served from the local index, only the most recent blocks are fetched directly
+    const index = await syncEventIndex(provider, resolverAddress, {
+        startBlock: config.startBlock,
+        confirmations: config.confirmations,
+        enrichLogs,
+    });
+    const fromBlock = blockRange?.fromBlock ?? 0;
+    const toBlock = blockRange?.toBlock ?? Number.POSITIVE_INFINITY;
+    const indexedEntries = index.entries.filter(entry => entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock && matchesTopics(entry, topics));
+    const recentFromBlock = Math.max(fromBlock, index.lastBlock + 1);
+    const recentLogs = recentFromBlock <= toBlock
+        ? await provider.getLogs({
+            address: resolverAddress,
+            topics: topics?.length > 0 ? topics : undefined,
+            fromBlock: recentFromBlock,
+            toBlock: blockRange?.toBlock ?? 'latest',
+        })
+        : [];
+    const recentExtras = await enrichLogs(recentLogs);
+    const recentEntries = recentLogs.map((log, index) => ({ ...log, ...recentExtras[index] }));
+
+    // Revocation updates the attestation, so the state fetched with the latest event of each attestation is used
+    const latestAttestations = new Map();
+    for (const entry of [...index.entries, ...recentEntries]) {
+        latestAttestations.set(entry.data, entry.attestation);
+    }
+    return Promise.all([...indexedEntries, ...recentEntries].map(async ({ timestamp, ...log }) => ({
+        ...log,
+        attester: ethers.utils.defaultAbiCoder.decode(['address'], log.topics[1])[0],
+        type: `${eventTypes[log.topics[0]] ?? 'Unknown'} ${schemaName}`,
+        date: new Date(timestamp),
+        url: await generateAttestationUrl(provider, log.data),
+        attestation: latestAttestations.get(log.data),
     })));
 };
 
@@ -121,10 +374,11 @@ export const getIdentityEvents = async function (provider, filterBy) {
     };
     const topics = [
         null, // all event types
-        filterBy?.attester ? ethers.utils.hexZeroPad(filterBy.attester, 32) : null,
-        filterBy?.userPseudonym ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(filterBy.userPseudonym)) : null,
+        filterBy?.attester ? [filterBy.attester].flat().map(attester => ethers.utils.hexZeroPad(attester, 32)) : null,
+        // Multiple pseudonyms can be requested at once
+        filterBy?.userPseudonym ? [filterBy.userPseudonym].flat().map(hashString) : null,
     ];
-    return await getResolverEvents(provider, 'identity', eventTypes, topics);
+    return await getResolverEvents(provider, 'identity', eventTypes, topics, filterBy);
 };
 
 export const getSpellEvents = async function (provider, filterBy) {
@@ -134,10 +388,10 @@ export const getSpellEvents = async function (provider, filterBy) {
     };
     const topics = [
         null, // all event types
-        filterBy?.attester ? ethers.utils.hexZeroPad(filterBy.attester, 32) : null,
+        filterBy?.attester ? [filterBy.attester].flat().map(attester => ethers.utils.hexZeroPad(attester, 32)) : null,
         filterBy?.payloadId ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(filterBy.payloadId)) : null,
     ];
-    return await getResolverEvents(provider, 'spell', eventTypes, topics);
+    return await getResolverEvents(provider, 'spell', eventTypes, topics, filterBy);
 };
 
 export const getDeploymentEvents = async function (provider, filterBy) {
@@ -147,10 +401,10 @@ export const getDeploymentEvents = async function (provider, filterBy) {
     };
     const topics = [
         null, // all event types
-        filterBy?.attester ? ethers.utils.hexZeroPad(filterBy.attester, 32) : null,
+        filterBy?.attester ? [filterBy.attester].flat().map(attester => ethers.utils.hexZeroPad(attester, 32)) : null,
         filterBy?.payloadId ? ethers.utils.keccak256(ethers.utils.toUtf8Bytes(filterBy.payloadId)) : null,
     ];
-    return await getResolverEvents(provider, 'deployment', eventTypes, topics);
+    return await getResolverEvents(provider, 'deployment', eventTypes, topics, filterBy);
 };
 
 export const getAtttestationEventsByAttester = async function (provider, attester) {
@@ -162,6 +416,148 @@ export const getAtttestationEventsByAttester = async function (provider, atteste
     return events.sort((a, b) => a.date.getTime() - b.date.getTime());
 };
 
+// Pairs attestation (`Created`) and revocation (`Removed`) events into a single record per attestation
+export const toAttestationRecords = function (schemaName, events) {
+    const records = new Map();
+    for (const event of events) {
+        const { attestation } = event;
+        const record = records.get(attestation.uid) ?? {};
+        if (event.type.startsWith('Revoked')) {
+            record.revocationEvent = event;
+        } else {
+            record.attestationEvent = event;
+        }
+        records.set(attestation.uid, { ...record, attestation });
+    }
+    return [...records.values()]
+        // Revocation without the attestation event in the requested block range is not listed
+        .filter(({ attestationEvent }) => !!attestationEvent)
+        .map(({ attestation, attestationEvent, revocationEvent }) => {
+            const revocationTime = ethers.BigNumber.from(attestation.revocationTime);
+            const isActive = revocationTime.isZero();
+            return {
+                uid: attestation.uid,
+                schemaName,
+                schema: attestation.schema,
+                attester: attestation.attester,
+                data: attestation.data,
+                isActive,
+                attestedAt: attestationEvent.date,
+                transactionHash: attestationEvent.transactionHash,
+                revocationTime: revocationTime.toString(),
+                revokedAt: isActive ? undefined : revocationEvent?.date ?? new Date(revocationTime.toNumber() * 1000),
+                // EAS only allows the attester to revoke its attestations
+                revoker: isActive ? undefined : revocationEvent?.attester ?? attestation.attester,
+                revocationTransactionHash: revocationEvent?.transactionHash,
+                url: attestationEvent.url,
+            };
+        });
+};
+
+const matchesPseudonym = function (record, pseudonym, addressToPseudonymHash) {
+    if (record.schemaName === 'identity') {
+        return record.data.userPseudonym === pseudonym;
+    }
+    if (record.schemaName === 'spell') {
+        return [record.data.crafter, record.data.reviewerA, record.data.reviewerB].includes(pseudonym);
+    }
+    // Deployment data does not contain pseudonym, so the current identity of the attester is used
+    return addressToPseudonymHash.get(record.attester) === hashString(pseudonym);
+};
+
+const getAddressToPseudonymHash = async function (provider, addresses) {
+    const identityResolver = await getResolverContract(provider, 'identity');
+    const uniqueAddresses = [...new Set(addresses)];
+    const pseudonymHashes = await multicall(provider, uniqueAddresses.map(address => ({
+        contract: identityResolver,
+        method: 'addressToPseudonymHash',
+        args: [address],
+    })));
+    return new Map(uniqueAddresses.map((address, index) => [address, pseudonymHashes[index]]));
+};
+
+// Lists attestations of all schemas, optionally filtered by schema, attester, spell, pseudonym or active state
+export const getAttestations = async function (provider, { schemaName, attester, payloadId, pseudonym, isActive } = {}) {
+    const getEventsBySchema = {
+        // Identity attestations are not related to any spell
+        identity: () => payloadId ? [] : getIdentityEvents(provider, { attester, userPseudonym: pseudonym }),
+        spell: () => getSpellEvents(provider, { attester, payloadId }),
+        deployment: () => getDeploymentEvents(provider, { attester, payloadId }),
+    };
+    const records = [];
+    for (const [name, getEvents] of Object.entries(getEventsBySchema)) {
+        if (schemaName && ![schemaName].flat().includes(name)) {
+            continue;
+        }
+        records.push(...toAttestationRecords(name, await getEvents()));
+    }
+    const deploymentAttesters = records.filter(record => record.schemaName === 'deployment').map(record => record.attester);
+    const addressToPseudonymHash = pseudonym && deploymentAttesters.length
+        ? await getAddressToPseudonymHash(provider, deploymentAttesters)
+        : new Map();
+    return records
+        .filter(record => isActive === undefined || record.isActive === isActive)
+        .filter(record => !pseudonym || matchesPseudonym(record, pseudonym, addressToPseudonymHash))
+        .sort((a, b) => a.attestedAt.getTime() - b.attestedAt.getTime());
+};
+
+// Finds not yet revoked attestations of the attester, optionally filtered by schema, spell or pseudonym
+export const findRevocableAttestations = async function (provider, attester, filterBy) {
+    return await getAttestations(provider, { ...filterBy, attester, isActive: true });
+};
+
+const findIdentityAttestation = function (identityEvents, userPseudonym) {
+    const attestations = identityEvents
+        .filter(event => event.attestation.data.userPseudonym === userPseudonym)
+        .map(event => event.attestation);
+    // Prefer the latest non-revoked identity, fall back to the latest revoked one
+    return attestations.findLast(attestation => attestation.revocationTime.toString() === '0') ?? attestations.at(-1);
+};
+
+const isSameDeployment = function (deployment, otherDeployment) {
+    if (!deployment || !otherDeployment) {
+        return false;
+    }
+    return deployment.payloadAddress === otherDeployment.payloadAddress && deployment.payloadHash === otherDeployment.payloadHash;
+};
+
+export const getSpellMembers = async function (provider, payloadId, identityEvents) {
+    const spellAttestation = await getSpellAttestation(provider, payloadId);
+    if (!spellAttestation) {
+        return [];
+    }
+    const identityResolver = await getResolverContract(provider, 'identity');
+    const deploymentResolver = await getResolverContract(provider, 'deployment');
+    const payloadIdHash = hashString(payloadId);
+    const { crafter, reviewerA, reviewerB } = spellAttestation.data;
+    const members = Object.entries({ crafter, reviewerA, reviewerB });
+    const memberEvents = identityEvents ?? await getIdentityEvents(provider, { userPseudonym: [crafter, reviewerA, reviewerB] });
+    const reads = await multicall(provider, members.flatMap(([, pseudonym]) => [
+        { contract: identityResolver, method: 'pseudonymHashToTeamHash', args: [hashString(pseudonym)] },
+        { contract: deploymentResolver, method: 'payloadIdHashToPseudonymHashToPayloadAddress', args: [payloadIdHash, hashString(pseudonym)] },
+        { contract: deploymentResolver, method: 'payloadIdHashToPseudonymHashToPayloadHash', args: [payloadIdHash, hashString(pseudonym)] },
+    ]));
+    const deployments = members.map((_, index) => {
+        const [, payloadAddress, payloadHash] = reads.slice(index * 3, index * 3 + 3);
+        return payloadAddress === ethers.constants.AddressZero ? undefined : { payloadAddress, payloadHash };
+    });
+    return members.map(([role, pseudonym], index) => {
+        const identity = findIdentityAttestation(memberEvents, pseudonym);
+        const deployment = deployments[index];
+        return {
+            role,
+            pseudonym,
+            teamName: identity?.data.teamName,
+            userAddress: identity?.data.userAddress,
+            isIdentityActive: reads[index * 3] !== ethers.constants.HashZero,
+            hasDeployment: !!deployment,
+            payloadAddress: deployment?.payloadAddress,
+            payloadHash: deployment?.payloadHash,
+            isMatchingCrafter: isSameDeployment(deployment, deployments[0]),
+        };
+    });
+};
+
 export const getSpellStatus = async function (provider, payloadId) {
     const spellAttester = await getSpellAttesterContract(provider);
     let address;
@@ -176,23 +572,24 @@ export const getSpellStatus = async function (provider, payloadId) {
     }
     const spellEvents = await getSpellEvents(provider, { payloadId });
     const allSpellMemberPseudonyms = [
-        ...spellEvents.map(a => a.data.crafter),
-        ...spellEvents.map(a => a.data.reviewerA),
-        ...spellEvents.map(a => a.data.reviewerB),
+        ...spellEvents.map(a => a.attestation.data.crafter),
+        ...spellEvents.map(a => a.attestation.data.reviewerA),
+        ...spellEvents.map(a => a.attestation.data.reviewerB),
     ];
     const uniqueSpellMemberPseudonyms = [...new Set(allSpellMemberPseudonyms)];
-    const memberEvents = await Promise.all(uniqueSpellMemberPseudonyms.map((userPseudonym) => {
-        return getIdentityEvents(provider, { userPseudonym });
-    }));
+    const memberEvents = uniqueSpellMemberPseudonyms.length
+        ? await getIdentityEvents(provider, { userPseudonym: uniqueSpellMemberPseudonyms })
+        : [];
     const events = [
         ...spellEvents,
         ...await getDeploymentEvents(provider, { payloadId }),
-        ...memberEvents.flat(),
+        ...memberEvents,
     ].sort((a, b) => a.date.getTime() - b.date.getTime());
     return {
         address,
         reason,
         message,
+        members: await getSpellMembers(provider, payloadId, memberEvents),
         events,
     };
 };
@@ -4,16 +4,37 @@ import chaiAsPromised from 'chai-as-promised';
 import { before, describe, it } from 'mocha';
 import hardhat from 'hardhat';
 import { getSpellAttesterContract } from './contracts.js';
+import { bootstrap, verifyBootstrap } from './bootstrap.js';
+import { setCacheOptions } from './cache.js';
+import { runHealthChecks } from './doctor.js';
+import { getNetworkProfiles, saveNetworkProfile } from './network.js';
+import { ERROR_CODES } from './errors.js';
 import { formatAttestationEvent } from './helpers.js';
+import { getPayloadHashes, verifyCrossChainPayload, verifyPayloadHashes } from './payload.js';
+import { watchSpell } from './watch.js';
+import { submitSignedTransaction } from './transactions.js';
+import { importIdentities, planIdentityImport } from './roster.js';
+import { runWizard } from './wizard.js';
+import { verifySpell } from './verify.js';
+import { useTemporaryPaths } from './test-helpers.js';
+import { changeAdmin, createAdminChangeTransaction, createSchemaFilingTransaction, getAdmins, planAdminChange, planSchemaFiling } from './governance.js';
+import { getIdentities, getWhois, groupIdentitiesByTeam, planIdentityRotation, rotateIdentity } from './identities.js';
+import { readDelegatedRequest, relayDelegatedRequest, saveDelegatedRequest, signDelegatedAttestation } from './delegation.js';
 import {
     createAttestation,
+    createAttestationTransaction,
+    findRevocableAttestations,
     getAttestationData,
+    getAttestations,
     getAtttestationEventsByAttester,
     getDeploymentEvents,
     getIdentityEvents,
     getSpellEvents,
     getSpellStatus,
     revokeAttestation,
+    revokeAttestations,
+    simulateAttestation,
+    simulateRevocation,
 } from './attestations.js';
 
 chai.use(chaiSubset);
@@ -28,6 +49,8 @@ const SPELL_ATTESTER_ADMIN = '0xB0EA9D686c474630b63FfCD7dFD6b20b9A2f6169';
 
 describe('Attestation creation', () => {
     before(async () => {
+        // Events of the fork must never end up in the real event index of the chain
+        setCacheOptions({ isEnabled: false });
         // set PRIVATE_KEY
         process.env.PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
         // give admin rights to the above address
@@ -36,6 +59,8 @@ describe('Attestation creation', () => {
         await spellAttester.rely(await hardhatAddress);
     });
 
+    const getTemporaryPath = useTemporaryPaths();
+
     // define test data
     const aliceWallet = hardhat.ethers.Wallet.createRandom();
     const alice = {
@@ -44,10 +69,11 @@ describe('Attestation creation', () => {
         userAddress: aliceWallet.address,
     };
 
+    const arthurWallet = hardhat.ethers.Wallet.createRandom();
     const arthur = {
         teamName: 'team_a',
         userPseudonym: 'arthur',
-        userAddress: hardhat.ethers.Wallet.createRandom().address,
+        userAddress: arthurWallet.address,
     };
 
     const bob = {
@@ -143,6 +169,31 @@ describe('Attestation creation', () => {
         expect(unknownSpellAttestations.length).to.be.equal(0);
     });
 
+    it('Should simulate attestations without submitting them', async () => {
+        const validIdentity = await simulateAttestation(hardhat.ethers.provider, 'identity', {
+            teamName: 'team_c',
+            userPseudonym: 'charlie',
+            userAddress: hardhat.ethers.Wallet.createRandom().address,
+        });
+        expect(validIdentity.violations).to.deep.equal([]);
+        expect(validIdentity.error).to.be.equal(undefined);
+        expect(validIdentity.gasEstimate.gt(0)).to.be.equal(true);
+        const invalidSpell = await simulateAttestation(hardhat.ethers.provider, 'spell', {
+            ...spellAttestationData,
+            reviewerB: alice.userPseudonym,
+        });
+        expect(invalidSpell.violations.map(({ rule }) => rule)).to.deep.equal([
+            'SpellResolver/already-attested-payload-id',
+            'SpellResolver/non-unique-spell-members',
+            'SpellResolver/same-team-reviewers',
+        ]);
+        expect(invalidSpell.error).to.contain.string('SpellResolver/already-attested-payload-id');
+        expect(invalidSpell.errorCode).to.equal(ERROR_CODES.SPELL_RESOLVER_ALREADY_ATTESTED_PAYLOAD_ID);
+        const invalidDeployment = await simulateAttestation(hardhat.ethers.provider, 'deployment', deploymentAttestationData);
+        expect(invalidDeployment.violations.map(({ rule }) => rule)).to.deep.equal(['DeploymentResolver/not-spell-member']);
+        expect(invalidDeployment.error).to.contain.string('DeploymentResolver/not-spell-member');
+    });
+
     it('Should be able to create Deployment attestation', async () => {
         // setup
         const [wallet] = await hardhat.ethers.getSigners();
@@ -168,6 +219,33 @@ describe('Attestation creation', () => {
         process.env.PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
     });
 
+    it('Should compute payload hash and compare it with the crafter', async () => {
+        const hashes = await getPayloadHashes(hardhat.ethers.provider, {
+            payloadId: deploymentAttestationData.payloadId,
+            payloadAddress: deploymentAttestationData.payloadAddress,
+        });
+        expect(hashes.map(({ source }) => source)).to.deep.equal(['on-chain code', `crafter "${alice.userPseudonym}"`]);
+        expect(verifyPayloadHashes(hashes)).to.equal(deploymentAttestationData.payloadHash);
+        const mismatchingHashes = await getPayloadHashes(hardhat.ethers.provider, {
+            ...deploymentAttestationData,
+            payloadHash: hardhat.ethers.constants.HashZero,
+        });
+        expect(() => verifyPayloadHashes(mismatchingHashes)).to.throw('Payload hashes do not match');
+    });
+
+    it('Should compare attested payload hash with the code on other chains', async () => {
+        const emptyProvider = { getNetwork: async () => ({ chainId: 1 }), getCode: async () => '0x' };
+        const results = await verifyCrossChainPayload(hardhat.ethers.provider, deploymentAttestationData.payloadId, [
+            { name: 'fork', provider: hardhat.ethers.provider },
+            { name: 'empty', provider: emptyProvider },
+        ]);
+        expect(results.map(({ network, status }) => ({ network, status }))).to.deep.equal([
+            { network: 'fork', status: 'match' },
+            { network: 'empty', status: 'no code' },
+        ]);
+        await expect(verifyCrossChainPayload(hardhat.ethers.provider, 'unknown payloadId', [])).to.be.rejectedWith('is not attested');
+    });
+
     it('Should fetch specific Deployment events', async () => {
         const knownEvents = await getDeploymentEvents(hardhat.ethers.provider, { payloadId: spellAttestationData.payloadId });
         expect(knownEvents.length).to.be.equal(1);
@@ -176,6 +254,27 @@ describe('Attestation creation', () => {
         expect(unknownEvents.length).to.be.equal(0);
     });
 
+    it('Should relay Deployment attestation signed off-chain', async () => {
+        // setup: sign by the reviewer without any ETH
+        process.env.PRIVATE_KEY = arthurWallet.privateKey;
+        const signedRequest = await signDelegatedAttestation(hardhat.ethers.provider, 'deployment', deploymentAttestationData);
+        const path = getTemporaryPath('signed-request.json');
+        saveDelegatedRequest(path, signedRequest);
+        // test: relay by the admin
+        process.env.PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
+        const tamperedRequest = { ...readDelegatedRequest(path), attester: aliceWallet.address };
+        await expect(relayDelegatedRequest(hardhat.ethers.provider, tamperedRequest)).to.be.rejectedWith(Error, 'Signature is not made by the attester');
+        // Signature over the types from the file, which are not accepted by EAS
+        const tamperedTypes = { Attest: signedRequest.types.Attest.filter(({ name }) => name !== 'data') };
+        const tamperedSignature = hardhat.ethers.utils.splitSignature(await arthurWallet._signTypedData(signedRequest.domain, tamperedTypes, signedRequest.message));
+        const tamperedTypesRequest = { ...readDelegatedRequest(path), types: tamperedTypes, signature: { v: tamperedSignature.v, r: tamperedSignature.r, s: tamperedSignature.s } };
+        await expect(relayDelegatedRequest(hardhat.ethers.provider, tamperedTypesRequest)).to.be.rejectedWith(Error, 'Signature is not made by the attester');
+        const { id } = await relayDelegatedRequest(hardhat.ethers.provider, readDelegatedRequest(path));
+        const attestation = await getAttestationData(hardhat.ethers.provider, id);
+        expect(attestation.attester).to.equal(arthurWallet.address);
+        expect(attestation.data).to.containSubset(deploymentAttestationData);
+    });
+
     it('Should be able to revoke attestation', async () => {
         const { id: attestationId } = await createAttestation(
             hardhat.ethers.provider,
@@ -186,11 +285,15 @@ describe('Attestation creation', () => {
                 userAddress: hardhat.ethers.Wallet.createRandom().address,
             },
         );
+        const validRevocation = await simulateRevocation(hardhat.ethers.provider, attestationId);
+        expect(validRevocation.violations).to.deep.equal([]);
         const { url } = await revokeAttestation(hardhat.ethers.provider, attestationId);
         expect(url).to.contain.string('https://');
         expect(url).to.contain.string(attestationId);
         const attestation = await getAttestationData(hardhat.ethers.provider, attestationId);
         expect(attestation.revocationTime).to.not.equal(0);
+        const invalidRevocation = await simulateRevocation(hardhat.ethers.provider, attestationId);
+        expect(invalidRevocation.violations.map(({ rule }) => rule)).to.deep.equal(['EAS/already-revoked']);
     });
 
     it('Should return spell status', async () => {
@@ -198,12 +301,26 @@ describe('Attestation creation', () => {
         process.env.PRIVATE_KEY = undefined;
         const spellStatus = await getSpellStatus(hardhat.ethers.provider, spellAttestationData.payloadId);
         expect(spellStatus.message).to.equal('Spell is not found or not ready: "SpellAttester/spell-not-yet-reviewed"');
-        expect(spellStatus.events.length).to.be.gte(7);
+        // At least Spell, 2 Deployment and 3 Identity events of the spell members, the fork may contain other ones
+        expect(spellStatus.events.length).to.be.gte(6);
         console.table(spellStatus.events.map(formatAttestationEvent));
+        expect(spellStatus.members).to.containSubset([
+            { role: 'crafter', pseudonym: alice.userPseudonym, teamName: alice.teamName, isIdentityActive: true, hasDeployment: true, payloadHash: deploymentAttestationData.payloadHash },
+            { role: 'reviewerA', pseudonym: arthur.userPseudonym, userAddress: arthur.userAddress, isIdentityActive: true, hasDeployment: true, isMatchingCrafter: true },
+            { role: 'reviewerB', pseudonym: bob.userPseudonym, teamName: bob.teamName, isIdentityActive: true, hasDeployment: false },
+        ]);
         // undo setup
         process.env.PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
     });
 
+    it('Should verify spell attested on sepolia consistently with the replayed rules', async () => {
+        const [spell] = await getAttestations(hardhat.ethers.provider, { schemaName: 'spell', attester: SPELL_ATTESTER_ADMIN });
+        expect(spell, 'Spell attested by the SpellAttester admin on sepolia').to.not.equal(undefined);
+        const verification = await verifySpell(hardhat.ethers.provider, spell.data.payloadId);
+        expect(verification.discrepancies).to.deep.equal([]);
+        expect(verification.isConsistent).to.equal(true);
+    });
+
     it('Should return all attestations by one user', async () => {
         const adminAttestationEvents = await getAtttestationEventsByAttester(hardhat.ethers.provider, await hardhatAddress);
         expect(adminAttestationEvents.length).to.be.equal(6);
@@ -211,6 +328,221 @@ describe('Attestation creation', () => {
         expect(aliceAttestationEvents.length).to.be.equal(1);
     });
 
+    it('Should watch the spell until relevant attestation is revoked', async () => {
+        const [deploymentEvent] = await getDeploymentEvents(hardhat.ethers.provider, { payloadId: spellAttestationData.payloadId });
+        const receivedEvents = [];
+        const watching = watchSpell(hardhat.ethers.provider, spellAttestationData.payloadId, {
+            interval: 100,
+            onEvent: event => receivedEvents.push(event),
+            fromBlock: await hardhat.ethers.provider.getBlockNumber() + 1,
+        });
+        process.env.PRIVATE_KEY = aliceWallet.privateKey;
+        await revokeAttestation(hardhat.ethers.provider, deploymentEvent.attestation.uid);
+        process.env.PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
+        const result = await watching;
+        expect(result.outcome).to.equal('revoked');
+        expect(result.event.type).to.equal('Revoked deployment');
+        expect(receivedEvents.length).to.equal(1);
+    });
+
+    it('Should export unsigned attestation and submit it after signing', async () => {
+        const dave = {
+            teamName: 'team_d',
+            userPseudonym: 'dave',
+            userAddress: hardhat.ethers.Wallet.createRandom().address,
+        };
+        const transaction = await createAttestationTransaction(hardhat.ethers.provider, 'identity', dave);
+        const wallet = new hardhat.ethers.Wallet(HARDHAT_PRIVATE_KEY, hardhat.ethers.provider);
+        const rawTransaction = await wallet.signTransaction(await wallet.populateTransaction({
+            to: transaction.to,
+            data: transaction.data,
+            chainId: transaction.chainId,
+        }));
+        const { attestationIds, from } = await submitSignedTransaction(hardhat.ethers.provider, rawTransaction);
+        expect(from).to.equal(wallet.address);
+        expect(attestationIds.length).to.equal(1);
+        const attestation = await getAttestationData(hardhat.ethers.provider, attestationIds[0]);
+        expect(attestation.data).to.containSubset(dave);
+    });
+
+    it('Should import only missing identities from the roster', async () => {
+        const identities = [
+            { row: 1, ...alice },
+            { row: 2, userPseudonym: 'erin', teamName: 'team_e', userAddress: hardhat.ethers.Wallet.createRandom().address },
+            { row: 3, userPseudonym: 'frank', teamName: 'team_e', userAddress: hardhat.ethers.Wallet.createRandom().address },
+            { row: 4, userPseudonym: 'alice', teamName: 'team_b', userAddress: hardhat.ethers.Wallet.createRandom().address },
+        ];
+        const plan = await planIdentityImport(hardhat.ethers.provider, identities);
+        expect(plan.map(({ status }) => status)).to.deep.equal(['exists', 'missing', 'missing', 'invalid']);
+        await expect(importIdentities(hardhat.ethers.provider, plan)).to.be.rejectedWith('please fix rows 4 or allow partial import');
+        const result = await importIdentities(hardhat.ethers.provider, plan, { allowPartial: true });
+        expect(result.map(({ status }) => status)).to.deep.equal(['exists', 'attested', 'attested', 'invalid']);
+        const attestation = await getAttestationData(hardhat.ethers.provider, result[2].attestationId);
+        expect(attestation.data).to.containSubset({ userPseudonym: 'frank', teamName: 'team_e' });
+    });
+
+    it('Should list identities grouped by team', async () => {
+        const teams = groupIdentitiesByTeam(await getIdentities(hardhat.ethers.provider));
+        const teamA = teams.find(({ teamName }) => teamName === alice.teamName);
+        expect(teamA.members.filter(({ isActive }) => isActive).map(({ userPseudonym }) => userPseudonym)).to.include.members(['alice', 'arthur']);
+        const teamC = teams.find(({ teamName }) => teamName === 'team_c');
+        expect(teamC.members.find(({ userPseudonym }) => userPseudonym === 'charlie').isActive).to.equal(false);
+    });
+
+    it('Should find identity by address or pseudonym', async () => {
+        const whoisByPseudonym = await getWhois(hardhat.ethers.provider, alice.userPseudonym);
+        expect(whoisByPseudonym.identity).to.containSubset({ ...alice, isActive: true });
+        expect(whoisByPseudonym.spells).to.containSubset([{ payloadId: spellAttestationData.payloadId, role: 'crafter', isSpellActive: true }]);
+        const whoisByAddress = await getWhois(hardhat.ethers.provider, alice.userAddress.toLowerCase());
+        expect(whoisByAddress.identity.attestationId).to.equal(whoisByPseudonym.identity.attestationId);
+        const unknown = await getWhois(hardhat.ethers.provider, hardhat.ethers.Wallet.createRandom().address);
+        expect(unknown.identity).to.equal(undefined);
+    });
+
+    it('Should rotate identity to a new address', async () => {
+        const newAddress = hardhat.ethers.Wallet.createRandom().address;
+        await expect(planIdentityRotation(hardhat.ethers.provider, { userPseudonym: arthur.userPseudonym, newAddress, teamName: 'Team-A' })).to.be.rejectedWith('Team name "Team-A" can only contain');
+        const plan = await planIdentityRotation(hardhat.ethers.provider, { userPseudonym: arthur.userPseudonym, newAddress });
+        expect(plan.newIdentity).to.deep.equal({ ...arthur, userAddress: newAddress });
+        expect(plan.openSpells.map(({ payloadId, role }) => ({ payloadId, role }))).to.deep.equal([{ payloadId: spellAttestationData.payloadId, role: 'reviewerA' }]);
+        const { revocation, attestation } = await rotateIdentity(hardhat.ethers.provider, plan);
+        expect(revocation.id).to.equal(plan.identity.attestationId);
+        const whois = await getWhois(hardhat.ethers.provider, arthur.userPseudonym);
+        expect(whois.identity).to.containSubset({ attestationId: attestation.id, userAddress: newAddress, isActive: true });
+        await expect(planIdentityRotation(hardhat.ethers.provider, { userPseudonym: arthur.userPseudonym, newAddress })).to.be.rejectedWith('already uses address');
+    });
+
+    it('Should guide spell member through the deployment attestation', async () => {
+        const prompts = {
+            choose: async (question, choices) => {
+                expect(choices.map(({ value }) => value.payloadId)).to.deep.equal([spellAttestationData.payloadId]);
+                return choices[0].value;
+            },
+            ask: async question => question.startsWith('Address') ? deploymentAttestationData.payloadAddress : '',
+            confirm: async () => true,
+        };
+        const tables = [];
+        const printer = { info: () => {}, warn: () => {}, table: rows => tables.push(rows) };
+        process.env.PRIVATE_KEY = aliceWallet.privateKey;
+        const options = await runWizard(hardhat.ethers.provider, aliceWallet.address, prompts, printer);
+        process.env.PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
+        expect(options).to.deep.equal(deploymentAttestationData);
+        expect(tables.at(-1)).to.containSubset([{ pseudonym: alice.userPseudonym, ...deploymentAttestationData }]);
+        await expect(runWizard(hardhat.ethers.provider, hardhat.ethers.Wallet.createRandom().address, prompts, printer)).to.be.rejectedWith('does not have an active identity');
+    });
+
+    it('Should revoke all attestations matching the filters at once', async () => {
+        const spell = { payloadId: '2024-05-01', crafter: alice.userPseudonym, reviewerA: 'erin', reviewerB: bob.userPseudonym };
+        await createAttestation(hardhat.ethers.provider, 'spell', spell);
+        const attester = await hardhatAddress;
+        const attestations = await findRevocableAttestations(hardhat.ethers.provider, attester, { pseudonym: 'erin' });
+        expect(attestations.map(({ schemaName }) => schemaName)).to.deep.equal(['identity', 'spell']);
+        expect(attestations[1].data).to.containSubset(spell);
+        const spells = await findRevocableAttestations(hardhat.ethers.provider, attester, { schemaName: 'spell', payloadId: spell.payloadId });
+        expect(spells.map(({ uid }) => uid)).to.deep.equal([attestations[1].uid]);
+        const results = await revokeAttestations(hardhat.ethers.provider, attestations);
+        expect(results.map(({ id }) => id)).to.have.members(attestations.map(({ uid }) => uid));
+        expect(new Set(results.map(({ transactionHash }) => transactionHash)).size).to.equal(1);
+        expect(await findRevocableAttestations(hardhat.ethers.provider, attester, { pseudonym: 'erin' })).to.deep.equal([]);
+    });
+
+    it('Should pair attestation and revocation events into a single record', async () => {
+        const attester = await hardhatAddress;
+        const records = await getAttestations(hardhat.ethers.provider, { pseudonym: 'erin' });
+        expect(records.map(({ schemaName, isActive }) => ({ schemaName, isActive }))).to.deep.equal([
+            { schemaName: 'identity', isActive: false },
+            { schemaName: 'spell', isActive: false },
+        ]);
+        expect(records[0].revoker).to.equal(attester);
+        expect(records[0].revokedAt.getTime()).to.be.at.least(records[0].attestedAt.getTime());
+        expect(records[0].revocationTransactionHash).to.equal(records[1].revocationTransactionHash);
+        expect(await getAttestations(hardhat.ethers.provider, { pseudonym: 'erin', isActive: true })).to.deep.equal([]);
+        const activeIdentities = await getAttestations(hardhat.ethers.provider, { schemaName: 'identity', isActive: true });
+        expect(activeIdentities.map(({ data }) => data.userPseudonym)).to.include('alice').and.not.include('erin');
+    });
+
+    it('Should add and remove admins with safety checks', async () => {
+        const attester = await hardhatAddress;
+        const admins = await getAdmins(hardhat.ethers.provider);
+        expect(admins).to.containSubset([
+            { address: SPELL_ATTESTER_ADMIN, isAdmin: true, isVerified: true, lastEvent: 'Rely' },
+            { address: attester, isAdmin: true, isVerified: true, lastEvent: 'Rely' },
+        ]);
+        await expect(planAdminChange(hardhat.ethers.provider, { action: 'rely', address: attester })).to.be.rejectedWith('is already an admin');
+        await expect(planAdminChange(hardhat.ethers.provider, { action: 'deny', address: attester, from: attester })).to.be.rejectedWith('executes the transaction');
+        await expect(planAdminChange(hardhat.ethers.provider, { action: 'rely', address: attester, from: hardhat.ethers.Wallet.createRandom().address })).to.be.rejectedWith('is not an admin of the SpellAttester');
+
+        const newAdmin = hardhat.ethers.Wallet.createRandom().address;
+        await changeAdmin(hardhat.ethers.provider, await planAdminChange(hardhat.ethers.provider, { action: 'rely', address: newAdmin.toLowerCase() }));
+        const removal = await planAdminChange(hardhat.ethers.provider, { action: 'deny', address: newAdmin });
+        const transaction = await createAdminChangeTransaction(hardhat.ethers.provider, removal);
+        expect(transaction.data.startsWith(hardhat.ethers.utils.id('deny(address)').slice(0, 10))).to.equal(true);
+        await changeAdmin(hardhat.ethers.provider, removal);
+        expect(await getAdmins(hardhat.ethers.provider)).to.containSubset([{ address: newAdmin, isAdmin: false, isVerified: true, lastEvent: 'Deny' }]);
+        await expect(planAdminChange(hardhat.ethers.provider, { action: 'deny', address: newAdmin })).to.be.rejectedWith('is not an admin');
+    });
+
+    it('Should only file registered schema with the matching resolver', async () => {
+        const spellAttester = await getSpellAttesterContract(hardhat.ethers.provider);
+        const identitySchemaId = await spellAttester.schemaNameToSchemaId(hardhat.ethers.utils.formatBytes32String('identity'));
+        const spellSchemaId = await spellAttester.schemaNameToSchemaId(hardhat.ethers.utils.formatBytes32String('spell'));
+        await expect(planSchemaFiling(hardhat.ethers.provider, { schemaName: 'identity', schemaId: identitySchemaId })).to.be.rejectedWith('is already filed');
+        await expect(planSchemaFiling(hardhat.ethers.provider, { schemaName: 'identity', schemaId: spellSchemaId })).to.be.rejectedWith('is named "spell" instead of "identity"');
+        await expect(planSchemaFiling(hardhat.ethers.provider, { schemaName: 'identity', schemaId: hardhat.ethers.utils.id('unknown') })).to.be.rejectedWith('is not registered in the EAS registry');
+        await expect(planSchemaFiling(hardhat.ethers.provider, { schemaName: 'unknown', schemaId: identitySchemaId })).to.be.rejectedWith('Unknown schema name');
+        const transaction = await createSchemaFilingTransaction(hardhat.ethers.provider, { schemaName: 'identity', schemaId: identitySchemaId });
+        expect(transaction.to).to.equal(spellAttester.address);
+    });
+
+    it('Should bootstrap and verify new SpellAttester using existing EAS contracts', async () => {
+        const spellAttester = await getSpellAttesterContract(hardhat.ethers.provider);
+        const result = await bootstrap(hardhat.ethers.provider, {
+            easAttesterAddress: await spellAttester.easAttester(),
+            easRegistryAddress: await spellAttester.easRegistry(),
+        });
+        expect(result.spellAttesterAddress).to.not.equal(spellAttester.address);
+        expect(Object.keys(result.schemas)).to.deep.equal(['identity', 'spell', 'deployment']);
+        const profilesPath = getTemporaryPath('networks.json');
+        saveNetworkProfile('bootstrap', { chainId: result.chainId, spellAttesterAddress: result.spellAttesterAddress, startBlock: result.startBlock }, profilesPath);
+        expect(getNetworkProfiles(profilesPath).bootstrap).to.deep.equal({ chainId: 11155111, spellAttesterAddress: result.spellAttesterAddress, startBlock: result.startBlock });
+
+        process.env.SPELL_ATTESTER_ADDRESS = result.spellAttesterAddress;
+        try {
+            const { attestation } = await verifyBootstrap(hardhat.ethers.provider);
+            const { revocationTime } = await getAttestationData(hardhat.ethers.provider, attestation.id);
+            expect(revocationTime.toString()).to.not.equal('0');
+        } finally {
+            delete process.env.SPELL_ATTESTER_ADDRESS;
+        }
+    });
+
+    it('Should pass health checks of the deployment and the signer', async () => {
+        await createAttestation(hardhat.ethers.provider, 'identity', { teamName: 'team_d', userPseudonym: 'doctor', userAddress: await hardhatAddress });
+        const checks = await runHealthChecks(hardhat.ethers.provider);
+        expect(checks.map(({ name, status }) => ({ name, status }))).to.deep.equal([
+            { name: 'RPC connection', status: 'pass' },
+            { name: 'Network profile', status: 'pass' },
+            { name: 'SpellAttester', status: 'pass' },
+            { name: 'Schema "identity"', status: 'pass' },
+            { name: 'Schema "spell"', status: 'pass' },
+            { name: 'Schema "deployment"', status: 'pass' },
+            { name: 'Signer balance', status: 'pass' },
+            { name: 'Signer admin rights', status: 'pass' },
+            { name: 'Signer identity', status: 'pass' },
+        ]);
+        expect(checks.at(-1).message).to.equal('Signer is "doctor" of the team "team_d"');
+
+        // setup: signer with an identity, but without admin rights and ETH
+        process.env.PRIVATE_KEY = aliceWallet.privateKey;
+        const memberChecks = await runHealthChecks(hardhat.ethers.provider);
+        process.env.PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
+        expect(memberChecks.slice(-3).map(({ name, status }) => ({ name, status }))).to.deep.equal([
+            { name: 'Signer balance', status: 'fail' },
+            { name: 'Signer admin rights', status: 'warn' },
+            { name: 'Signer identity', status: 'pass' },
+        ]);
+    });
+
     it('Should throw if attestation is not found', async () => {
         await expect(revokeAttestation(hardhat.ethers.provider, hardhat.ethers.constants.HashZero)).to.be.rejectedWith(Error, 'Attestation with uid not found');
     });
@@ -0,0 +1,181 @@
+import fs from 'node:fs';
+import { join } from 'node:path';
+import ethers from 'ethers';
+import { EAS__factory, SchemaRegistry__factory } from '@ethereum-attestation-service/eas-contracts';
+import { SchemaRegistry } from '@ethereum-attestation-service/eas-sdk';
+import { createAttestation, getAttestationData, revokeAttestation } from './attestations.js';
+import { getContractFactory } from './contracts.js';
+import { reportProgress } from './context.js';
+import { ConfigurationError, InvalidInputError, TransactionError } from './errors.js';
+import { decodeErrorMessage } from './helpers.js';
+import { getBroadcastDirs, getSigner } from './network.js';
+
+// Chain ids used by anvil, hardhat and geth/ganache dev nodes
+export const LOCAL_CHAIN_IDS = [31337, 1337];
+
+// Same as `script/dependencies/DeployAll.sol`
+export const BOOTSTRAP_SCHEMAS = {
+    identity: {
+        contractName: 'IdentityResolver',
+        schema: 'string teamName, string userPseudonym, address userAddress',
+    },
+    spell: {
+        contractName: 'SpellResolver',
+        schema: 'string payloadId, string crafter, string reviewerA, string reviewerB',
+    },
+    deployment: {
+        contractName: 'DeploymentResolver',
+        schema: 'string payloadId, address payloadAddress, bytes32 payloadHash',
+    },
+};
+
+const readArtifactBytecode = function (artifactsDir, contractName) {
+    // Forge keeps artifacts in `out/<Name>.sol/<Name>.json`, hardhat in `artifacts/src/**/<Name>.sol/<Name>.json`
+    const paths = [
+        join(artifactsDir, `${contractName}.sol`, `${contractName}.json`),
+        join(artifactsDir, 'src', `${contractName}.sol`, `${contractName}.json`),
+        join(artifactsDir, 'src', 'resolvers', `${contractName}.sol`, `${contractName}.json`),
+    ];
+    const path = paths.find(path => fs.existsSync(path));
+    if (!path) {
+        throw new ConfigurationError(`Artifact of "${contractName}" is not found in "${artifactsDir}"`);
+    }
+    const artifact = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    return artifact.bytecode?.object ?? artifact.bytecode;
+};
+
+// Creation bytecode is the input of the broadcasted deployment without the encoded constructor arguments
+const readBroadcastedBytecode = function (contractName, broadcastDirs) {
+    for (const broadcastDir of broadcastDirs) {
+        const scriptDir = join(broadcastDir, 'Deploy.s.sol');
+        if (!fs.existsSync(scriptDir)) {
+            continue;
+        }
+        for (const chainId of fs.readdirSync(scriptDir)) {
+            const runPath = join(scriptDir, chainId, 'run-latest.json');
+            if (!fs.existsSync(runPath)) {
+                continue;
+            }
+            const { transactions } = JSON.parse(fs.readFileSync(runPath, 'utf-8'));
+            const deployment = transactions.find(t => t.transactionType === 'CREATE' && t.contractName === contractName);
+            const input = deployment?.transaction.input ?? deployment?.transaction.data;
+            if (!input) {
+                continue;
+            }
+            const encodedArguments = ethers.utils.defaultAbiCoder.encode(['address', 'address'], deployment.arguments).slice(2);
+            if (input.toLowerCase().endsWith(encodedArguments.toLowerCase())) {
+                return input.slice(0, -encodedArguments.length);
+            }
+        }
+    }
+    throw new ConfigurationError(`Bytecode of "${contractName}" is not found in the broadcast files, please provide forge or hardhat artifacts directory`);
+};
+
+export const getCreationBytecode = function (contractName, { artifactsDir, broadcastDirs = getBroadcastDirs() } = {}) {
+    const bytecode = artifactsDir ? readArtifactBytecode(artifactsDir, contractName) : readBroadcastedBytecode(contractName, broadcastDirs);
+    if (!ethers.utils.isHexString(bytecode) || bytecode === '0x') {
+        throw new ConfigurationError(`Bytecode of "${contractName}" is empty or invalid`);
+    }
+    return bytecode;
+};
+
+const assertContractExists = async function (provider, name, address) {
+    if (!ethers.utils.isAddress(address)) {
+        throw new InvalidInputError(`${name} address "${address}" is invalid or has incorrect checksum`);
+    }
+    if (await provider.getCode(address) === '0x') {
+        throw new InvalidInputError(`${name} is not deployed at "${address}"`);
+    }
+    return ethers.utils.getAddress(address);
+};
+
+const deployContract = async function (provider, contractName, factory, args) {
+    try {
+        const contract = await factory.deploy(...args);
+        reportProgress(provider, `${contractName} deployment ("${contract.deployTransaction.hash}") is submitted, waiting to be mined...`);
+        await contract.deployed();
+        return contract;
+    } catch (error) {
+        throw new TransactionError(`${contractName} can not be deployed: ${decodeErrorMessage(error)}`, { cause: error });
+    }
+};
+
+const sendTransaction = async function (provider, description, send) {
+    try {
+        const transaction = await send();
+        reportProgress(provider, `${description} transaction ("${transaction.hash ?? transaction.tx.hash}") is submitted, waiting to be mined...`);
+        return await transaction.wait();
+    } catch (error) {
+        throw new TransactionError(`${description} failed: ${decodeErrorMessage(error)}`, { cause: error });
+    }
+};
+
+// Mirrors `script/Deploy.s.sol`, additionally deploys EAS itself on local nodes where it does not exist
+export const bootstrap = async function (provider, { easAttesterAddress, easRegistryAddress, artifactsDir }) {
+    if (!easAttesterAddress !== !easRegistryAddress) {
+        throw new InvalidInputError('Please provide both EAS and SchemaRegistry addresses or neither of them to deploy new ones');
+    }
+    const signer = await getSigner(provider);
+    const { chainId } = await provider.getNetwork();
+    const bytecodes = Object.fromEntries(['SpellAttester', ...Object.values(BOOTSTRAP_SCHEMAS).map(({ contractName }) => contractName)]
+        .map(contractName => [contractName, getCreationBytecode(contractName, { artifactsDir })]));
+
+    // Deploy or validate EAS contracts
+    if (!easRegistryAddress) {
+        if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+            throw new InvalidInputError(`EAS can only be deployed to a local node, please provide EAS and SchemaRegistry addresses for chain "${chainId}"`);
+        }
+        easRegistryAddress = (await deployContract(provider, 'SchemaRegistry', new SchemaRegistry__factory(signer), [])).address;
+        easAttesterAddress = (await deployContract(provider, 'EAS', new EAS__factory(signer), [easRegistryAddress])).address;
+    } else {
+        easRegistryAddress = await assertContractExists(provider, 'SchemaRegistry', easRegistryAddress);
+        easAttesterAddress = await assertContractExists(provider, 'EAS', easAttesterAddress);
+    }
+
+    // Deploy main contract, its block is the earliest one containing relevant events
+    const spellAttester = await deployContract(provider, 'SpellAttester', getContractFactory('SpellAttester', bytecodes.SpellAttester, signer), [easAttesterAddress, easRegistryAddress]);
+    const { blockNumber: startBlock } = await spellAttester.deployTransaction.wait();
+
+    // Deploy resolvers, register their schemas and file them into the main contract
+    const easRegistry = new SchemaRegistry(easRegistryAddress).connect(signer);
+    const schemas = {};
+    for (const [schemaName, { contractName, schema }] of Object.entries(BOOTSTRAP_SCHEMAS)) {
+        const resolver = await deployContract(provider, contractName, getContractFactory(contractName, bytecodes[contractName], signer), [easAttesterAddress, spellAttester.address]);
+        const schemaId = await sendTransaction(provider, `Registration of the ${schemaName} schema`, () => {
+            return easRegistry.register({ schema, resolverAddress: resolver.address, revocable: true });
+        });
+        await sendTransaction(provider, `Filing of the ${schemaName} schema`, () => {
+            return spellAttester.fileSchema(ethers.utils.formatBytes32String(schemaName), schemaId);
+        });
+        schemas[schemaName] = { resolver: resolver.address, schemaId };
+    }
+    return {
+        chainId,
+        easAttesterAddress,
+        easRegistryAddress,
+        spellAttesterAddress: spellAttester.address,
+        startBlock,
+        schemas,
+    };
+};
+
+// Round-trips a test identity through the configured SpellAttester to prove that attestation and revocation work.
+// The revoked "bootstrap" identity stays in the history of the SpellAttester forever
+export const verifyBootstrap = async function (provider) {
+    const identity = {
+        teamName: 'bootstrap',
+        userPseudonym: 'bootstrap',
+        userAddress: ethers.Wallet.createRandom().address,
+    };
+    const attestation = await createAttestation(provider, 'identity', identity);
+    const { data } = await getAttestationData(provider, attestation.id);
+    if (data.userPseudonym !== identity.userPseudonym || data.userAddress.toLowerCase() !== identity.userAddress.toLowerCase()) {
+        throw new TransactionError(`Test attestation "${attestation.id}" unexpectedly contains ${JSON.stringify(data)}`);
+    }
+    const revocation = await revokeAttestation(provider, attestation.id);
+    const { revocationTime } = await getAttestationData(provider, attestation.id);
+    if (revocationTime.toString() === '0') {
+        throw new TransactionError(`Test attestation "${attestation.id}" is unexpectedly not revoked`);
+    }
+    return { identity, attestation, revocation };
+};
@@ -0,0 +1,40 @@
+import process from 'node:process';
+import fs from 'node:fs';
+import { join } from 'node:path';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import ethers from 'ethers';
+import { getCreationBytecode } from './bootstrap.js';
+import { useTemporaryPaths } from './test-helpers.js';
+
+describe('Bootstrap', () => {
+    const getTemporaryPath = useTemporaryPaths();
+
+    const broadcastDirs = [join(process.cwd(), '..', 'broadcast')];
+
+    it('Should extract creation bytecode from the broadcast files', () => {
+        const runPath = join(broadcastDirs[0], 'Deploy.s.sol', '11155111', 'run-latest.json');
+        const { transactions } = JSON.parse(fs.readFileSync(runPath, 'utf-8'));
+        for (const contractName of ['SpellAttester', 'IdentityResolver', 'SpellResolver', 'DeploymentResolver']) {
+            const bytecode = getCreationBytecode(contractName, { broadcastDirs });
+            const deployment = transactions.find(t => t.contractName === contractName);
+            const encodedArguments = ethers.utils.defaultAbiCoder.encode(['address', 'address'], deployment.arguments);
+            expect(ethers.utils.hexConcat([bytecode, encodedArguments])).to.equal(deployment.transaction.input);
+        }
+        expect(() => getCreationBytecode('Unknown', { broadcastDirs })).to.throw('Bytecode of "Unknown" is not found');
+    });
+
+    it('Should read creation bytecode from forge and hardhat artifacts', () => {
+        const bytecode = '0x6080604052348015600f57600080fd5b50';
+        const forgeDir = getTemporaryPath('out');
+        fs.mkdirSync(join(forgeDir, 'SpellAttester.sol'), { recursive: true });
+        fs.writeFileSync(join(forgeDir, 'SpellAttester.sol', 'SpellAttester.json'), JSON.stringify({ bytecode: { object: bytecode } }));
+        expect(getCreationBytecode('SpellAttester', { artifactsDir: forgeDir })).to.equal(bytecode);
+
+        const hardhatDir = getTemporaryPath('artifacts');
+        fs.mkdirSync(join(hardhatDir, 'src', 'resolvers', 'SpellResolver.sol'), { recursive: true });
+        fs.writeFileSync(join(hardhatDir, 'src', 'resolvers', 'SpellResolver.sol', 'SpellResolver.json'), JSON.stringify({ bytecode }));
+        expect(getCreationBytecode('SpellResolver', { artifactsDir: hardhatDir })).to.equal(bytecode);
+        expect(() => getCreationBytecode('IdentityResolver', { artifactsDir: hardhatDir })).to.throw('Artifact of "IdentityResolver" is not found');
+    });
+});
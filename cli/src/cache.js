@@ -0,0 +1,108 @@
+import process from 'node:process';
+import fs from 'node:fs';
+import { dirname, join } from 'node:path';
+import { configDir } from './network.js';
+import { getProviderContext } from './context.js';
+
+const INDEX_VERSION = 1;
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_CHUNK_SIZE = 100000;
+const MIN_CHUNK_SIZE = 100;
+
+// Changed via global `--no-cache` option or `cache` option of the client
+const cacheOptions = { isEnabled: true };
+
+export const setCacheOptions = function ({ isEnabled }) {
+    cacheOptions.isEnabled = isEnabled !== false;
+};
+
+export const getIndexPath = function (chainId, address) {
+    return join(configDir, 'cache', `${chainId}-${address.toLowerCase()}.json`);
+};
+
+const createEmptyIndex = function (startBlock) {
+    return { version: INDEX_VERSION, startBlock, lastBlock: startBlock - 1, lastBlockHash: undefined, entries: [] };
+};
+
+const readIndex = function (path, startBlock) {
+    if (!fs.existsSync(path)) {
+        return createEmptyIndex(startBlock);
+    }
+    try {
+        const index = JSON.parse(fs.readFileSync(path, 'utf-8'));
+        // Index created from another `startBlock` (e.g. after the profile was corrected) may miss some events
+        return index.version === INDEX_VERSION && index.startBlock === startBlock ? index : createEmptyIndex(startBlock);
+    } catch {
+        // Corrupted index is simply rebuilt
+        return createEmptyIndex(startBlock);
+    }
+};
+
+const writeIndex = function (path, index) {
+    fs.mkdirSync(dirname(path), { recursive: true });
+    // Write via rename, so that concurrently running commands never read a partially written file
+    const temporaryPath = `${path}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(index));
+    fs.renameSync(temporaryPath, path);
+};
+
+export const getLogsInChunks = async function (provider, filter, fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE) {
+    const logs = [];
+    while (fromBlock <= toBlock) {
+        const chunkToBlock = Math.min(fromBlock + chunkSize - 1, toBlock);
+        try {
+            logs.push(...await provider.getLogs({ ...filter, fromBlock, toBlock: chunkToBlock }));
+            fromBlock = chunkToBlock + 1;
+        } catch (error) {
+            // RPCs limit block range or number of returned logs differently, so the range is reduced until it succeeds
+            if (chunkSize <= MIN_CHUNK_SIZE) {
+                throw error;
+            }
+            chunkSize = Math.max(Math.floor(chunkSize / 2), MIN_CHUNK_SIZE);
+        }
+    }
+    return logs;
+};
+
+const toIndexEntry = function (log) {
+    return {
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionIndex: log.transactionIndex,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        address: log.address,
+        topics: log.topics,
+        data: log.data,
+    };
+};
+
+export const syncEventIndex = async function (provider, address, { startBlock = 0, confirmations = DEFAULT_CONFIRMATIONS, enrichLogs }) {
+    if (!(getProviderContext(provider)?.cache ?? cacheOptions.isEnabled)) {
+        return createEmptyIndex(0);
+    }
+    const { chainId } = await provider.getNetwork();
+    const path = getIndexPath(chainId, address);
+    let index = readIndex(path, startBlock);
+
+    // Rebuild the index if the last indexed block was reorged or belongs to a different fork
+    if (index.lastBlockHash) {
+        const lastBlock = await provider.getBlock(index.lastBlock);
+        if (lastBlock?.hash !== index.lastBlockHash) {
+            index = createEmptyIndex(startBlock);
+        }
+    }
+
+    // Only index blocks that are deep enough to not be reorged
+    const confirmedBlock = await provider.getBlockNumber() - confirmations;
+    if (confirmedBlock <= index.lastBlock) {
+        return index;
+    }
+    const logs = await getLogsInChunks(provider, { address }, index.lastBlock + 1, confirmedBlock);
+    const extras = await enrichLogs(logs);
+    index.entries.push(...logs.map((log, position) => ({ ...toIndexEntry(log), ...extras[position] })));
+    index.lastBlock = confirmedBlock;
+    index.lastBlockHash = (await provider.getBlock(confirmedBlock)).hash;
+    writeIndex(path, index);
+    return index;
+};
@@ -0,0 +1,71 @@
+import fs from 'node:fs';
+import { after, describe, it } from 'mocha';
+import { expect } from 'chai';
+import ethers from 'ethers';
+import { getIndexPath, getLogsInChunks, syncEventIndex } from './cache.js';
+
+const createFakeProvider = function ({ blockCount, logs, maxRange }) {
+    const provider = {
+        getLogsCalls: 0,
+        blocks: Array.from({ length: blockCount }, (_, number) => ({ number, hash: ethers.utils.id(`block ${number}`) })),
+        getNetwork: async () => ({ chainId: 31337 }),
+        getBlockNumber: async () => provider.blocks.length - 1,
+        getBlock: async number => provider.blocks[number],
+        getLogs: async ({ fromBlock, toBlock }) => {
+            provider.getLogsCalls++;
+            if (toBlock - fromBlock + 1 > maxRange) {
+                throw new Error('block range is too large');
+            }
+            return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+        },
+    };
+    return provider;
+};
+
+describe('Event index', () => {
+    const address = ethers.Wallet.createRandom().address;
+    const logs = [10, 500, 995].map(blockNumber => ({ blockNumber, topics: [], data: ethers.utils.id(`log ${blockNumber}`) }));
+    const enrichLogs = async logs => logs.map(log => ({ timestamp: log.blockNumber * 1000 }));
+
+    after(() => {
+        fs.rmSync(getIndexPath(31337, address), { force: true });
+    });
+
+    it('Should fetch logs in chunks reducing the range on errors', async () => {
+        const provider = createFakeProvider({ blockCount: 1000, logs, maxRange: 300 });
+        const fetchedLogs = await getLogsInChunks(provider, { address }, 0, 999, 1000);
+        expect(fetchedLogs.map(({ blockNumber }) => blockNumber)).to.deep.equal([10, 500, 995]);
+    });
+
+    it('Should index only confirmed blocks and sync incrementally', async () => {
+        const provider = createFakeProvider({ blockCount: 1000, logs, maxRange: Infinity });
+        const index = await syncEventIndex(provider, address, { startBlock: 5, confirmations: 10, enrichLogs });
+        expect(index.lastBlock).to.equal(989);
+        expect(index.entries.map(({ blockNumber, timestamp }) => ({ blockNumber, timestamp }))).to.deep.equal([
+            { blockNumber: 10, timestamp: 10000 },
+            { blockNumber: 500, timestamp: 500000 },
+        ]);
+
+        provider.blocks.push(...Array.from({ length: 10 }, (_, i) => ({ number: 1000 + i, hash: ethers.utils.id(`block ${1000 + i}`) })));
+        provider.getLogsCalls = 0;
+        const syncedIndex = await syncEventIndex(provider, address, { startBlock: 5, confirmations: 10, enrichLogs });
+        expect(provider.getLogsCalls).to.equal(1);
+        expect(syncedIndex.lastBlock).to.equal(999);
+        expect(syncedIndex.entries.map(({ blockNumber }) => blockNumber)).to.deep.equal([10, 500, 995]);
+    });
+
+    it('Should rebuild the index if the last indexed block was reorged', async () => {
+        const provider = createFakeProvider({ blockCount: 1010, logs: logs.slice(0, 1), maxRange: Infinity });
+        provider.blocks[999] = { number: 999, hash: ethers.utils.id('reorged block 999') };
+        const index = await syncEventIndex(provider, address, { startBlock: 5, confirmations: 10, enrichLogs });
+        expect(index.entries.map(({ blockNumber }) => blockNumber)).to.deep.equal([10]);
+        expect(index.lastBlockHash).to.equal(ethers.utils.id('reorged block 999'));
+    });
+
+    it('Should rebuild the index if the start block is changed', async () => {
+        const provider = createFakeProvider({ blockCount: 1000, logs, maxRange: Infinity });
+        await syncEventIndex(provider, address, { startBlock: 100, confirmations: 10, enrichLogs });
+        const index = await syncEventIndex(provider, address, { startBlock: 5, confirmations: 10, enrichLogs });
+        expect(index.entries.map(({ blockNumber }) => blockNumber)).to.deep.equal([10, 500]);
+    });
+});
@@ -0,0 +1,553 @@
+import type { BigNumber, Signer, providers } from 'ethers';
+
+export type SchemaName = 'identity' | 'spell' | 'deployment';
+
+// Attestation data of every schema
+
+export interface IdentityData {
+    teamName: string;
+    userPseudonym: string;
+    userAddress: string;
+}
+
+export interface SpellData {
+    payloadId: string;
+    crafter: string;
+    reviewerA: string;
+    reviewerB: string;
+}
+
+export interface DeploymentData {
+    payloadId: string;
+    payloadAddress: string;
+    payloadHash: string;
+}
+
+export interface SchemaData {
+    identity: IdentityData;
+    spell: SpellData;
+    deployment: DeploymentData;
+}
+
+export type AttestationData = IdentityData | SpellData | DeploymentData;
+
+// Attestation as stored by EAS, numeric fields are strings when returned as part of the events
+export interface Attestation<Data = AttestationData, Numeric = BigNumber> {
+    uid: string;
+    schema: string;
+    refUID: string;
+    time: Numeric;
+    expirationTime: Numeric;
+    revocationTime: Numeric;
+    recipient: string;
+    attester: string;
+    revocable: boolean;
+    data: Data;
+}
+
+// Event of the resolver, `data` contains the attestation uid
+export interface AttestationEvent<Data = AttestationData> extends providers.Log {
+    attester: string;
+    type: `${'Attested' | 'Revoked' | 'Unknown'} ${SchemaName}`;
+    date: Date;
+    url?: string;
+    // Latest state of the attestation, e.g. the one with `revocationTime` after it was revoked
+    attestation: Attestation<Data, string>;
+}
+
+export interface EventFilter {
+    attester?: string | string[];
+    fromBlock?: number;
+    toBlock?: number;
+}
+
+export interface IdentityEventFilter extends EventFilter {
+    userPseudonym?: string | string[];
+}
+
+export interface SpellEventFilter extends EventFilter {
+    payloadId?: string;
+}
+
+// Attestation and revocation events paired into a single record
+export interface AttestationRecord<Data = AttestationData> {
+    uid: string;
+    schemaName: SchemaName;
+    schema: string;
+    attester: string;
+    data: Data;
+    isActive: boolean;
+    attestedAt: Date;
+    transactionHash: string;
+    revocationTime: string;
+    revokedAt?: Date;
+    revoker?: string;
+    revocationTransactionHash?: string;
+    url?: string;
+}
+
+export interface AttestationFilter {
+    schemaName?: SchemaName | SchemaName[];
+    attester?: string | string[];
+    payloadId?: string;
+    pseudonym?: string;
+    // Both active and revoked attestations are returned when omitted
+    isActive?: boolean;
+}
+
+// Spell status
+
+export interface SpellMember {
+    role: 'crafter' | 'reviewerA' | 'reviewerB';
+    pseudonym: string;
+    teamName?: string;
+    userAddress?: string;
+    isIdentityActive: boolean;
+    hasDeployment: boolean;
+    payloadAddress?: string;
+    payloadHash?: string;
+    isMatchingCrafter: boolean;
+}
+
+export interface SpellStatus {
+    // Only set when the spell is deployed and reviewed
+    address?: string;
+    // Revert reason of the `getSpellAddressByPayloadId`, e.g. `SpellAttester/spell-not-yet-reviewed`
+    reason?: string;
+    message: string;
+    members: SpellMember[];
+    events: AttestationEvent[];
+}
+
+// Identities
+
+export interface Identity extends IdentityData {
+    isActive: boolean;
+    attestedAt: Date;
+    revokedAt?: Date;
+    attester: string;
+    attestationId: string;
+    url?: string;
+}
+
+export interface TeamIdentities {
+    teamName: string;
+    activeMembers: number;
+    members: Identity[];
+}
+
+export interface SpellParticipation {
+    payloadId: string;
+    role: SpellMember['role'];
+    pseudonym: string;
+    isSpellActive: boolean;
+    hasDeployment: boolean;
+    payloadAddress?: string;
+    attestedAt: Date;
+}
+
+export interface Whois {
+    query: string;
+    identity?: Identity;
+    history: AttestationEvent<IdentityData>[];
+    spells: SpellParticipation[];
+}
+
+export interface RosterIdentity extends Partial<IdentityData> {
+    row: number;
+}
+
+export interface IdentityImportRow extends RosterIdentity {
+    status: 'missing' | 'exists' | 'conflict' | 'invalid' | 'attested';
+    message: string;
+    attestationId?: string;
+    url?: string;
+}
+
+export interface IdentityRotationPlan {
+    identity: Identity;
+    newIdentity: IdentityData;
+    openSpells: SpellParticipation[];
+}
+
+// Transactions
+
+export interface RuleViolation {
+    rule: ErrorCode;
+    message: string;
+}
+
+export interface Simulation {
+    attester?: string;
+    revoker?: string;
+    violations: RuleViolation[];
+    gasEstimate?: BigNumber;
+    // Decoded revert reason of the simulated transaction
+    error?: string;
+    errorCode?: ErrorCode;
+}
+
+export interface AttestationResult {
+    id: string;
+    url?: string;
+    transactionHash: string;
+}
+
+export interface UnsignedTransaction {
+    chainId: number;
+    to: string;
+    value: string;
+    data: string;
+    request: unknown;
+}
+
+export interface SignedRequest {
+    type: 'attestation' | 'revocation';
+    attester: string;
+    domain: Record<string, unknown>;
+    primaryType: string;
+    types: Record<string, unknown>;
+    message: Record<string, unknown> & { nonce: string };
+    signature: { v: number; r: string; s: string };
+}
+
+export interface SubmittedTransaction {
+    transactionHash: string;
+    blockNumber: number;
+    from: string;
+    attestationIds: string[];
+}
+
+// Administration
+
+export interface Admin {
+    address: string;
+    isAdmin: boolean;
+    // False when `wards` does not match the latest `Rely` or `Deny` event of the address
+    isVerified: boolean;
+    lastEvent: 'Rely' | 'Deny';
+    changedAt: Date;
+    transactionHash: string;
+}
+
+export interface AdminChangePlan {
+    action: 'rely' | 'deny';
+    address: string;
+    // Account executing the transaction, it must be an admin and can not remove itself; rules depending on it are skipped when omitted
+    from?: string;
+}
+
+export interface SchemaFilingPlan {
+    schemaName: SchemaName;
+    schemaId: string;
+    currentSchemaId: string;
+    schema: string;
+    resolver: string;
+    revocable: boolean;
+    from?: string;
+}
+
+export interface BootstrapOptions {
+    // Both EAS contracts are deployed when omitted, which is only allowed on local nodes
+    easAttesterAddress?: string;
+    easRegistryAddress?: string;
+    // Forge `out` or hardhat `artifacts` directory, defaults to the broadcasted deployment
+    artifactsDir?: string;
+}
+
+export interface BootstrapResult {
+    chainId: number;
+    easAttesterAddress: string;
+    easRegistryAddress: string;
+    spellAttesterAddress: string;
+    startBlock: number;
+    schemas: Record<SchemaName, { resolver: string; schemaId: string }>;
+}
+
+export interface BootstrapVerification {
+    identity: IdentityData;
+    attestation: AttestationResult;
+    revocation: AttestationResult;
+}
+
+// Payload verification
+
+export interface PayloadHashOptions {
+    payloadId: string;
+    payloadAddress: string;
+    payloadHash?: string;
+    // Path to a forge or hardhat artifact with the deployed bytecode
+    payloadArtifact?: string;
+}
+
+export interface PayloadHash {
+    source: string;
+    hash: string;
+    isLocal?: boolean;
+}
+
+export interface CrossChainTarget {
+    name: string;
+    provider: providers.Provider;
+}
+
+export interface CrossChainResult {
+    network: string;
+    chainId: number;
+    payloadAddress: string;
+    attestedPayloadHash: string;
+    codeHash?: string;
+    status: 'match' | 'mismatch' | 'no code';
+}
+
+export interface WatchOptions {
+    interval: number;
+    onEvent: (event: AttestationEvent) => void;
+    fromBlock?: number;
+}
+
+export type WatchResult = { outcome: 'verified'; address: string } | { outcome: 'revoked'; event: AttestationEvent };
+
+export interface HealthCheck {
+    name: string;
+    status: 'pass' | 'warn' | 'fail' | 'skip';
+    message: string;
+}
+
+export interface SpellReportRecord {
+    attestationId: string;
+    attester: string;
+    attestedAt: string;
+    transactionHash: string;
+    revokedAt?: string;
+    revocationTransactionHash?: string;
+    isActive: boolean;
+}
+
+export type SpellOutcome = { isVerified: true; address: string } | { isVerified: false; reason: string };
+
+export interface SpellDiscrepancy {
+    // Only set for attestations or revocations that were accepted on-chain despite violating the rule
+    attestationId?: string;
+    schemaName?: SchemaName;
+    type?: 'Attested' | 'Revoked';
+    rule?: ErrorCode;
+    message: string;
+}
+
+export interface SpellVerification {
+    payloadId: string;
+    blockNumber: number;
+    // Returned by `getSpellAddressByPayloadId` of the SpellAttester
+    outcome: SpellOutcome;
+    // Re-derived from the raw EAS attestations, missing when the schemas are misconfigured
+    replayedOutcome?: SpellOutcome;
+    replayedEvents?: number;
+    isConsistent: boolean;
+    discrepancies: SpellDiscrepancy[];
+}
+
+// Contains only on-chain data up to `blockNumber`, dates are ISO strings so the report can be stored as is
+export interface SpellReport {
+    payloadId: string;
+    chainId: number;
+    spellAttesterAddress: string;
+    blockNumber: number;
+    outcome: SpellOutcome;
+    spells: (SpellReportRecord & Omit<SpellData, 'payloadId'>)[];
+    members: {
+        role: 'crafter' | 'reviewerA' | 'reviewerB';
+        pseudonym: string;
+        identities: (SpellReportRecord & Omit<IdentityData, 'userPseudonym'>)[];
+    }[];
+    deployments: (SpellReportRecord & Omit<DeploymentData, 'payloadId'> & { pseudonym?: string })[];
+    revocations: {
+        schemaName: SchemaName;
+        attestationId: string;
+        revoker: string;
+        revokedAt: string;
+        transactionHash: string;
+    }[];
+    // keccak256 of the report serialized with sorted keys, excluding the digest itself
+    digest?: string;
+}
+
+// Client
+
+export interface NetworkConfig {
+    name?: string;
+    chainId: number;
+    rpcUrl?: string;
+    spellAttesterAddress?: string;
+    easScannerUrl?: string;
+    startBlock?: number;
+}
+
+export interface SpellAttesterClientOptions {
+    provider: providers.Provider;
+    // Only required to submit transactions, can be provided lazily
+    signer?: Signer | (() => Signer | Promise<Signer>);
+    network?: string;
+    spellAttesterAddress?: string;
+    // Local event index in the config directory, enabled by default
+    cache?: boolean;
+    onProgress?: (message: string) => void;
+}
+
+export declare class SpellAttesterClient {
+    constructor(options: SpellAttesterClientOptions);
+    readonly provider: providers.Provider;
+
+    getConfig(): Promise<NetworkConfig>;
+    getSigner(): Promise<Signer>;
+    getSignerAddress(): Promise<string>;
+    isAdmin(address?: string): Promise<boolean>;
+    runHealthChecks(): Promise<HealthCheck[]>;
+
+    getAttestation<Name extends SchemaName = SchemaName>(attestationId: string): Promise<Attestation<SchemaData[Name]>>;
+    getAttestations(filterBy?: AttestationFilter): Promise<AttestationRecord[]>;
+    getRevocableAttestations(filterBy?: Omit<AttestationFilter, 'attester' | 'isActive'>): Promise<AttestationRecord[]>;
+    getIdentityEvents(filterBy?: IdentityEventFilter): Promise<AttestationEvent<IdentityData>[]>;
+    getSpellEvents(filterBy?: SpellEventFilter): Promise<AttestationEvent<SpellData>[]>;
+    getDeploymentEvents(filterBy?: SpellEventFilter): Promise<AttestationEvent<DeploymentData>[]>;
+    getSpellStatus(payloadId: string): Promise<SpellStatus>;
+    getVerifiedSpellAddress(payloadId: string): Promise<string | undefined>;
+    getIdentities(filterBy?: { isActive?: boolean }): Promise<Identity[]>;
+    getWhois(addressOrPseudonym: string): Promise<Whois>;
+    verifySpell(payloadId: string): Promise<SpellVerification>;
+    getSpellReport(payloadId: string, options?: { blockNumber?: number; digest?: boolean }): Promise<SpellReport>;
+    watchSpell(payloadId: string, options: WatchOptions): Promise<WatchResult>;
+
+    getPayloadHashes(options: PayloadHashOptions): Promise<PayloadHash[]>;
+    verifyPayloadHashes(hashes: PayloadHash[]): string;
+    verifyCrossChainPayload(payloadId: string, targets: CrossChainTarget[]): Promise<CrossChainResult[]>;
+
+    checkAttestationRules<Name extends SchemaName>(schemaName: Name, data: SchemaData[Name]): Promise<RuleViolation[]>;
+    checkRevocationRules(attestationId: string): Promise<RuleViolation[]>;
+    simulateAttestation<Name extends SchemaName>(schemaName: Name, data: SchemaData[Name]): Promise<Simulation>;
+    createAttestationTransaction<Name extends SchemaName>(schemaName: Name, data: SchemaData[Name]): Promise<UnsignedTransaction>;
+    createMultiAttestationTransaction<Name extends SchemaName>(schemaName: Name, dataList: SchemaData[Name][]): Promise<UnsignedTransaction>;
+    createAttestation<Name extends SchemaName>(schemaName: Name, data: SchemaData[Name]): Promise<AttestationResult>;
+    createMultiAttestation<Name extends SchemaName>(schemaName: Name, dataList: SchemaData[Name][]): Promise<AttestationResult[]>;
+    simulateRevocation(attestationId: string): Promise<Simulation>;
+    simulateRevocations(attestations: Pick<AttestationRecord, 'uid' | 'schema'>[]): Promise<Simulation>;
+    createRevocationTransaction(attestationId: string): Promise<UnsignedTransaction>;
+    createMultiRevocationTransaction(attestations: Pick<AttestationRecord, 'uid' | 'schema'>[]): Promise<UnsignedTransaction>;
+    revokeAttestation(attestationId: string): Promise<AttestationResult>;
+    revokeAttestations(attestations: Pick<AttestationRecord, 'uid' | 'schema'>[]): Promise<AttestationResult[]>;
+
+    planIdentityImport(identities: RosterIdentity[]): Promise<IdentityImportRow[]>;
+    // Throws when some rows are invalid or conflicting, unless `allowPartial` is set
+    importIdentities(plan: IdentityImportRow[], options?: { allowPartial?: boolean }): Promise<IdentityImportRow[]>;
+    planIdentityRotation(options: { userPseudonym: string; newAddress: string; teamName?: string }): Promise<IdentityRotationPlan>;
+    createIdentityRotationTransactions(plan: IdentityRotationPlan): Promise<[UnsignedTransaction, UnsignedTransaction]>;
+    rotateIdentity(plan: IdentityRotationPlan): Promise<{ revocation: AttestationResult; attestation: AttestationResult }>;
+
+    getAdmins(): Promise<Admin[]>;
+    planAdminChange(options: AdminChangePlan): Promise<AdminChangePlan>;
+    createAdminChangeTransaction(plan: AdminChangePlan): Promise<UnsignedTransaction>;
+    changeAdmin(plan: AdminChangePlan): Promise<AdminChangePlan & { transactionHash: string }>;
+    bootstrap(options?: BootstrapOptions): Promise<BootstrapResult>;
+    // Leaves a revoked "bootstrap" test identity on chain, which can not be removed
+    verifyBootstrap(): Promise<BootstrapVerification>;
+    planSchemaFiling(options: { schemaName: SchemaName; schemaId: string; from?: string }): Promise<SchemaFilingPlan>;
+    createSchemaFilingTransaction(plan: Pick<SchemaFilingPlan, 'schemaName' | 'schemaId'>): Promise<UnsignedTransaction>;
+    fileSchema(plan: Pick<SchemaFilingPlan, 'schemaName' | 'schemaId' | 'from'>): Promise<Pick<SchemaFilingPlan, 'schemaName' | 'schemaId' | 'from'> & { transactionHash: string }>;
+
+    signDelegatedAttestation<Name extends SchemaName>(schemaName: Name, data: SchemaData[Name]): Promise<SignedRequest>;
+    signDelegatedRevocation(attestationId: string): Promise<SignedRequest>;
+    verifyDelegatedRequest(request: SignedRequest): Promise<void>;
+    relayDelegatedRequest(request: SignedRequest): Promise<AttestationResult>;
+    submitSignedTransaction(rawTransaction: string): Promise<SubmittedTransaction>;
+}
+
+export declare function getReportDigest(report: SpellReport): string;
+export declare function formatReportMarkdown(report: SpellReport): string;
+
+// Errors
+
+export declare const ERROR_CODES: {
+    readonly IDENTITY_RESOLVER_NOT_AUTHORIZED_ATTESTER: 'IdentityResolver/not-authorized-attester';
+    readonly IDENTITY_RESOLVER_INVALID_TEAM_NAME: 'IdentityResolver/invalid-team-name';
+    readonly IDENTITY_RESOLVER_INVALID_USER_PSEUDONYM: 'IdentityResolver/invalid-user-pseudonym';
+    readonly IDENTITY_RESOLVER_PSEUDONYM_ALREADY_ATTESTED: 'IdentityResolver/pseudonym-already-attested';
+    readonly IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED: 'IdentityResolver/address-already-attested';
+    readonly IDENTITY_RESOLVER_UNKNOWN_SCHEMA: 'IdentityResolver/unknown-schema';
+    readonly IDENTITY_RESOLVER_UNEXPECTED_RECIPIENT: 'IdentityResolver/unexpected-recipient';
+    readonly IDENTITY_RESOLVER_UNEXPECTED_EXPIRATION_TIME: 'IdentityResolver/unexpected-expirationTime';
+    readonly IDENTITY_RESOLVER_UNEXPECTED_REVOCABLE: 'IdentityResolver/unexpected-revocable';
+    readonly IDENTITY_RESOLVER_UNEXPECTED_REF_UID: 'IdentityResolver/unexpected-refUID';
+    readonly IDENTITY_RESOLVER_UNEXPECTED_VALUE: 'IdentityResolver/unexpected-value';
+    readonly SPELL_RESOLVER_NOT_AUTHORIZED_ATTESTER: 'SpellResolver/not-authorized-attester';
+    readonly SPELL_RESOLVER_ALREADY_ATTESTED_PAYLOAD_ID: 'SpellResolver/already-attested-payload-id';
+    readonly SPELL_RESOLVER_UNKNOWN_CRAFTER: 'SpellResolver/unknown-crafter';
+    readonly SPELL_RESOLVER_UNKNOWN_REVIEWER_A: 'SpellResolver/unknown-reviewerA';
+    readonly SPELL_RESOLVER_UNKNOWN_REVIEWER_B: 'SpellResolver/unknown-reviewerB';
+    readonly SPELL_RESOLVER_NON_UNIQUE_SPELL_MEMBERS: 'SpellResolver/non-unique-spell-members';
+    readonly SPELL_RESOLVER_SAME_TEAM_REVIEWERS: 'SpellResolver/same-team-reviewers';
+    readonly SPELL_RESOLVER_UNKNOWN_SCHEMA: 'SpellResolver/unknown-schema';
+    readonly SPELL_RESOLVER_UNEXPECTED_RECIPIENT: 'SpellResolver/unexpected-recipient';
+    readonly SPELL_RESOLVER_UNEXPECTED_EXPIRATION_TIME: 'SpellResolver/unexpected-expirationTime';
+    readonly SPELL_RESOLVER_UNEXPECTED_REVOCABLE: 'SpellResolver/unexpected-revocable';
+    readonly SPELL_RESOLVER_UNEXPECTED_REF_UID: 'SpellResolver/unexpected-refUID';
+    readonly SPELL_RESOLVER_UNEXPECTED_VALUE: 'SpellResolver/unexpected-value';
+    readonly DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ID: 'DeploymentResolver/unknown-payload-id';
+    readonly DEPLOYMENT_RESOLVER_NOT_SPELL_MEMBER: 'DeploymentResolver/not-spell-member';
+    readonly DEPLOYMENT_RESOLVER_ALREADY_ATTESTED_BY_YOU: 'DeploymentResolver/already-attested-by-you';
+    readonly DEPLOYMENT_RESOLVER_NOT_CRAFTER_FIRST: 'DeploymentResolver/not-crafter-first';
+    readonly DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ADDRESS: 'DeploymentResolver/unknown-payload-address';
+    readonly DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_HASH: 'DeploymentResolver/unknown-payload-hash';
+    readonly DEPLOYMENT_RESOLVER_INCORRECT_PAYLOAD_HASH: 'DeploymentResolver/incorrect-payload-hash';
+    readonly DEPLOYMENT_RESOLVER_EMPTY_PAYLOAD_HASH: 'DeploymentResolver/empty-payload-hash';
+    readonly DEPLOYMENT_RESOLVER_UNKNOWN_SCHEMA: 'DeploymentResolver/unknown-schema';
+    readonly DEPLOYMENT_RESOLVER_UNEXPECTED_RECIPIENT: 'DeploymentResolver/unexpected-recipient';
+    readonly DEPLOYMENT_RESOLVER_UNEXPECTED_EXPIRATION_TIME: 'DeploymentResolver/unexpected-expirationTime';
+    readonly DEPLOYMENT_RESOLVER_UNEXPECTED_REVOCABLE: 'DeploymentResolver/unexpected-revocable';
+    readonly DEPLOYMENT_RESOLVER_UNEXPECTED_REF_UID: 'DeploymentResolver/unexpected-refUID';
+    readonly DEPLOYMENT_RESOLVER_UNEXPECTED_VALUE: 'DeploymentResolver/unexpected-value';
+    readonly SPELL_ATTESTER_NOT_AUTHORIZED: 'SpellAttester/not-authorized';
+    readonly SPELL_ATTESTER_SPELL_NOT_FOUND: 'SpellAttester/spell-not-found';
+    readonly SPELL_ATTESTER_SPELL_NOT_YET_DEPLOYED: 'SpellAttester/spell-not-yet-deployed';
+    readonly SPELL_ATTESTER_SPELL_NOT_YET_REVIEWED: 'SpellAttester/spell-not-yet-reviewed';
+    readonly SPELL_ATTESTER_UNKNOWN_SCHEMA: 'SpellAttester/unknown-schema';
+    readonly EAS_ALREADY_REVOKED: 'EAS/already-revoked';
+    readonly EAS_ACCESS_DENIED: 'EAS/access-denied';
+};
+
+export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+export declare const ERROR_EXPLANATIONS: Readonly<Record<ErrorCode, string>>;
+
+export interface RevertReason {
+    // Only set for the known revert reasons
+    code?: ErrorCode;
+    reason: string;
+    explanation?: string;
+}
+
+export declare function decodeRevertReason(error: unknown): RevertReason | undefined;
+
+export declare class SpellAttesterError extends Error {
+    constructor(message: string, options?: { cause?: unknown });
+}
+
+export declare class InvalidInputError extends SpellAttesterError {}
+
+export declare class ConfigurationError extends SpellAttesterError {}
+
+export declare class AttestationNotFoundError extends SpellAttesterError {
+    constructor(attestationId: string, options?: { cause?: unknown });
+    attestationId: string;
+}
+
+export declare class RuleViolationError extends SpellAttesterError {
+    constructor(message: string, violations: RuleViolation[], options?: { cause?: unknown });
+    violations: RuleViolation[];
+}
+
+export declare class TransactionError extends SpellAttesterError {
+    code?: ErrorCode;
+    explanation?: string;
+}
+
+export declare class InvalidRequestError extends SpellAttesterError {}
@@ -0,0 +1,300 @@
+import {
+    createAttestation,
+    createAttestationTransaction,
+    createMultiAttestation,
+    createMultiAttestationTransaction,
+    createMultiRevocationTransaction,
+    createRevocationTransaction,
+    findRevocableAttestations,
+    getAttestationData,
+    getAttestations,
+    getDeploymentEvents,
+    getIdentityEvents,
+    getSpellEvents,
+    getSpellStatus,
+    revokeAttestation,
+    revokeAttestations,
+    simulateAttestation,
+    simulateRevocation,
+    simulateRevocations,
+} from './attestations.js';
+import { bootstrap, verifyBootstrap } from './bootstrap.js';
+import { getProviderContext, setProviderContext } from './context.js';
+import { relayDelegatedRequest, signDelegatedAttestation, signDelegatedRevocation, verifyDelegatedRequest } from './delegation.js';
+import { runHealthChecks } from './doctor.js';
+import { ConfigurationError } from './errors.js';
+import { changeAdmin, createAdminChangeTransaction, createSchemaFilingTransaction, fileSchema, getAdmins, planAdminChange, planSchemaFiling } from './governance.js';
+import { createIdentityRotationTransactions, getIdentities, getWhois, planIdentityRotation, rotateIdentity } from './identities.js';
+import { getConfig, getSigner } from './network.js';
+import { getPayloadHashes, verifyCrossChainPayload, verifyPayloadHashes } from './payload.js';
+import { addReportDigest, getSpellReport } from './report.js';
+import { importIdentities, planIdentityImport } from './roster.js';
+import { checkAttestationRules, checkRevocationRules, isAdmin } from './rules.js';
+import { submitSignedTransaction } from './transactions.js';
+import { verifySpell } from './verify.js';
+import { getVerifiedSpellAddress, watchSpell } from './watch.js';
+
+export {
+    AttestationNotFoundError,
+    ConfigurationError,
+    ERROR_CODES,
+    ERROR_EXPLANATIONS,
+    InvalidInputError,
+    InvalidRequestError,
+    RuleViolationError,
+    SpellAttesterError,
+    TransactionError,
+    decodeRevertReason,
+} from './errors.js';
+export { formatReportMarkdown, getReportDigest } from './report.js';
+
+// Programmatic API of the package: never prints or exits, expected failures are only thrown as errors from `errors.js`.
+// Signer and network are never taken from env variables, but network profiles are read from the config directory,
+// SpellAttester address falls back to the broadcast files and the event index is written into the config directory unless `cache` is disabled
+export class SpellAttesterClient {
+    constructor({ provider, signer, spellAttesterAddress, network, cache = true, onProgress } = {}) {
+        if (!provider) {
+            throw new ConfigurationError('Please provide `provider` to the client');
+        }
+        if (getProviderContext(provider)) {
+            throw new ConfigurationError('Provider is already used by another client, please create a separate provider');
+        }
+        let signerPromise;
+        setProviderContext(provider, {
+            // Lazy signer is only requested once and only when it is needed
+            signer: typeof signer === 'function' ? () => signerPromise ??= Promise.resolve(signer()) : signer,
+            spellAttesterAddress,
+            network,
+            cache,
+            onProgress,
+        });
+        this.provider = provider;
+    }
+
+    // Network
+
+    async getConfig() {
+        return await getConfig(this.provider);
+    }
+
+    async getSigner() {
+        return await getSigner(this.provider);
+    }
+
+    async getSignerAddress() {
+        return await (await this.getSigner()).getAddress();
+    }
+
+    async runHealthChecks() {
+        return await runHealthChecks(this.provider);
+    }
+
+    async isAdmin(address) {
+        return await isAdmin(this.provider, address ?? await this.getSignerAddress());
+    }
+
+    // Reading attestations
+
+    async getAttestation(attestationId) {
+        return await getAttestationData(this.provider, attestationId);
+    }
+
+    async getAttestations(filterBy) {
+        return await getAttestations(this.provider, filterBy);
+    }
+
+    async getRevocableAttestations(filterBy) {
+        return await findRevocableAttestations(this.provider, await this.getSignerAddress(), filterBy);
+    }
+
+    async getIdentityEvents(filterBy) {
+        return await getIdentityEvents(this.provider, filterBy);
+    }
+
+    async getSpellEvents(filterBy) {
+        return await getSpellEvents(this.provider, filterBy);
+    }
+
+    async getDeploymentEvents(filterBy) {
+        return await getDeploymentEvents(this.provider, filterBy);
+    }
+
+    async getSpellStatus(payloadId) {
+        return await getSpellStatus(this.provider, payloadId);
+    }
+
+    async getVerifiedSpellAddress(payloadId) {
+        return await getVerifiedSpellAddress(this.provider, payloadId);
+    }
+
+    async getIdentities(filterBy) {
+        return await getIdentities(this.provider, filterBy);
+    }
+
+    async getWhois(addressOrPseudonym) {
+        return await getWhois(this.provider, addressOrPseudonym);
+    }
+
+    async verifySpell(payloadId) {
+        return await verifySpell(this.provider, payloadId);
+    }
+
+    async getSpellReport(payloadId, { blockNumber, digest } = {}) {
+        const report = await getSpellReport(this.provider, payloadId, { blockNumber });
+        return digest ? addReportDigest(report) : report;
+    }
+
+    async watchSpell(payloadId, options) {
+        return await watchSpell(this.provider, payloadId, options);
+    }
+
+    // Payload verification
+
+    async getPayloadHashes(options) {
+        return await getPayloadHashes(this.provider, options);
+    }
+
+    verifyPayloadHashes(hashes) {
+        return verifyPayloadHashes(hashes);
+    }
+
+    async verifyCrossChainPayload(payloadId, targets) {
+        return await verifyCrossChainPayload(this.provider, payloadId, targets);
+    }
+
+    // Attesting and revoking
+
+    async checkAttestationRules(schemaName, data) {
+        return await checkAttestationRules(this.provider, schemaName, await this.getSignerAddress(), data);
+    }
+
+    async checkRevocationRules(attestationId) {
+        return await checkRevocationRules(this.provider, await this.getSignerAddress(), await this.getAttestation(attestationId));
+    }
+
+    async simulateAttestation(schemaName, data) {
+        return await simulateAttestation(this.provider, schemaName, data);
+    }
+
+    async createAttestationTransaction(schemaName, data) {
+        return await createAttestationTransaction(this.provider, schemaName, data);
+    }
+
+    async createMultiAttestationTransaction(schemaName, dataList) {
+        return await createMultiAttestationTransaction(this.provider, schemaName, dataList);
+    }
+
+    async createAttestation(schemaName, data) {
+        return await createAttestation(this.provider, schemaName, data);
+    }
+
+    async createMultiAttestation(schemaName, dataList) {
+        return await createMultiAttestation(this.provider, schemaName, dataList);
+    }
+
+    async simulateRevocation(attestationId) {
+        return await simulateRevocation(this.provider, attestationId);
+    }
+
+    async simulateRevocations(attestations) {
+        return await simulateRevocations(this.provider, attestations);
+    }
+
+    async createRevocationTransaction(attestationId) {
+        return await createRevocationTransaction(this.provider, attestationId);
+    }
+
+    async createMultiRevocationTransaction(attestations) {
+        return await createMultiRevocationTransaction(this.provider, attestations);
+    }
+
+    async revokeAttestation(attestationId) {
+        return await revokeAttestation(this.provider, attestationId);
+    }
+
+    async revokeAttestations(attestations) {
+        return await revokeAttestations(this.provider, attestations);
+    }
+
+    // Identities
+
+    async planIdentityImport(identities) {
+        return await planIdentityImport(this.provider, identities);
+    }
+
+    async importIdentities(plan, options) {
+        return await importIdentities(this.provider, plan, options);
+    }
+
+    async planIdentityRotation(options) {
+        return await planIdentityRotation(this.provider, options);
+    }
+
+    async createIdentityRotationTransactions(plan) {
+        return await createIdentityRotationTransactions(this.provider, plan);
+    }
+
+    async rotateIdentity(plan) {
+        return await rotateIdentity(this.provider, plan);
+    }
+
+    // Administration of the SpellAttester
+
+    async getAdmins() {
+        return await getAdmins(this.provider);
+    }
+
+    async planAdminChange(options) {
+        return await planAdminChange(this.provider, options);
+    }
+
+    async createAdminChangeTransaction(plan) {
+        return await createAdminChangeTransaction(this.provider, plan);
+    }
+
+    async changeAdmin(plan) {
+        return await changeAdmin(this.provider, plan);
+    }
+
+    async bootstrap(options) {
+        return await bootstrap(this.provider, options);
+    }
+
+    async verifyBootstrap() {
+        return await verifyBootstrap(this.provider);
+    }
+
+    async planSchemaFiling(options) {
+        return await planSchemaFiling(this.provider, options);
+    }
+
+    async createSchemaFilingTransaction(plan) {
+        return await createSchemaFilingTransaction(this.provider, plan);
+    }
+
+    async fileSchema(plan) {
+        return await fileSchema(this.provider, plan);
+    }
+
+    // Off-chain signatures and externally signed transactions
+
+    async signDelegatedAttestation(schemaName, data) {
+        return await signDelegatedAttestation(this.provider, schemaName, data);
+    }
+
+    async signDelegatedRevocation(attestationId) {
+        return await signDelegatedRevocation(this.provider, attestationId);
+    }
+
+    async verifyDelegatedRequest(request) {
+        return await verifyDelegatedRequest(this.provider, request);
+    }
+
+    async relayDelegatedRequest(request) {
+        return await relayDelegatedRequest(this.provider, request);
+    }
+
+    async submitSignedTransaction(rawTransaction) {
+        return await submitSignedTransaction(this.provider, rawTransaction);
+    }
+}
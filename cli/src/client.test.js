@@ -0,0 +1,75 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { after, describe, it } from 'mocha';
+import ethers from 'ethers';
+import { SpellAttesterClient } from './client.js';
+import { reportProgress } from './context.js';
+import { ConfigurationError, SpellAttesterError } from './errors.js';
+import { setNetworkOptions } from './network.js';
+
+chai.use(chaiAsPromised);
+
+const getStaticProvider = function (chainId) {
+    return new ethers.providers.StaticJsonRpcProvider('http://127.0.0.1:1', { chainId, name: 'unknown' });
+};
+
+describe('Client', () => {
+    after(() => {
+        setNetworkOptions({});
+    });
+
+    it('Should require provider', () => {
+        expect(() => new SpellAttesterClient()).to.throw(ConfigurationError, 'Please provide `provider` to the client');
+    });
+
+    it('Should not share provider between clients', () => {
+        const provider = getStaticProvider(11155111);
+        const client = new SpellAttesterClient({ provider });
+        expect(client.provider).to.equal(provider);
+        expect(() => new SpellAttesterClient({ provider })).to.throw(ConfigurationError, 'already used by another client');
+    });
+
+    it('Should use client options instead of the global ones', async () => {
+        setNetworkOptions({ network: 'mainnet', spellAttesterAddress: '0x0000000000000000000000000000000000000002' });
+        const spellAttesterAddress = '0x0000000000000000000000000000000000000001';
+        const client = new SpellAttesterClient({ provider: getStaticProvider(31337), network: 'local', spellAttesterAddress });
+        const config = await client.getConfig();
+        expect(config.name).to.equal('local');
+        expect(config.spellAttesterAddress).to.equal(spellAttesterAddress);
+
+        const unknownChainClient = new SpellAttesterClient({ provider: getStaticProvider(5) });
+        await expect(unknownChainClient.getConfig()).to.be.rejectedWith(ConfigurationError, 'Unsupported chain id "5"');
+    });
+
+    it('Should request lazy signer only once', async () => {
+        const wallet = ethers.Wallet.createRandom();
+        let calls = 0;
+        const client = new SpellAttesterClient({
+            provider: getStaticProvider(11155111),
+            signer: async () => {
+                calls++;
+                return wallet;
+            },
+        });
+        expect(calls).to.equal(0);
+        expect(await client.getSignerAddress()).to.equal(wallet.address);
+        expect((await client.getSigner()).provider).to.equal(client.provider);
+        expect(calls).to.equal(1);
+    });
+
+    it('Should throw typed error without signer', async () => {
+        const client = new SpellAttesterClient({ provider: getStaticProvider(11155111) });
+        const error = await client.getSignerAddress().catch(error => error);
+        expect(error).to.be.instanceOf(SpellAttesterError);
+        expect(error.name).to.equal('ConfigurationError');
+    });
+
+    it('Should only pass progress to the client callback', () => {
+        const messages = [];
+        const client = new SpellAttesterClient({ provider: getStaticProvider(11155111), onProgress: message => messages.push(message) });
+        reportProgress(client.provider, 'Transaction is submitted');
+        expect(messages).to.deep.equal(['Transaction is submitted']);
+        // Does not throw without the callback
+        reportProgress(new SpellAttesterClient({ provider: getStaticProvider(11155111) }).provider, 'Transaction is submitted');
+    });
+});
@@ -1,5 +1,10 @@
+import process from 'node:process';
 import fs from 'node:fs';
 import dotenv from 'dotenv';
+import { InvalidInputError } from './errors.js';
+
+// Raw key material, which must stay out of `.env` once a safer signer type is used
+const RAW_SECRETS = ['PRIVATE_KEY', 'MNEMONIC', 'KEYSTORE_PASSWORD'];
 
 export const getVariables = function (path) {
     const variables = {};
@@ -16,7 +21,11 @@ const serialize = function (variables) {
 };
 
 export const setVariable = function (path, key, value) {
-    const variables = getVariables();
+    const variables = getVariables(path);
+    const signerType = variables.SIGNER_TYPE || process.env.SIGNER_TYPE;
+    if (RAW_SECRETS.includes(key) && signerType && signerType !== 'private-key') {
+        throw new InvalidInputError(`Refusing to store raw ${key} since safer "${signerType}" SIGNER_TYPE is configured, please provide it via env variable instead`);
+    }
     variables[key] = value;
     fs.writeFileSync(path, serialize(variables));
 };
@@ -1,10 +1,12 @@
-import crypto from 'node:crypto';
 import { expect } from 'chai';
 import { describe, it } from 'mocha';
 import { getVariables, setVariable } from './configure.js';
+import { useTemporaryPaths } from './test-helpers.js';
 
 describe('Configure command', () => {
-    const path = `/tmp/.env-${crypto.randomUUID()}`;
+    const getTemporaryPath = useTemporaryPaths();
+
+    const path = getTemporaryPath('.env');
     const key = 'TEST_KEY';
     const value = 'Test value';
 
@@ -13,4 +15,19 @@ describe('Configure command', () => {
         setVariable(path, key, value);
         expect(getVariables(path)).to.include({ [key]: value });
     });
+
+    it('Should refuse to store private key if safer signer is configured', () => {
+        setVariable(path, 'SIGNER_TYPE', 'keystore');
+        expect(() => setVariable(path, 'PRIVATE_KEY', '0x1234')).to.throw('Refusing to store raw PRIVATE_KEY');
+        expect(getVariables(path)).to.not.have.property('PRIVATE_KEY');
+    });
+
+    it('Should refuse to store mnemonic and keystore password if safer signer is configured', () => {
+        setVariable(path, 'SIGNER_TYPE', 'mnemonic');
+        expect(() => setVariable(path, 'MNEMONIC', 'test test test test test test test test test test test junk')).to.throw('Refusing to store raw MNEMONIC');
+        setVariable(path, 'SIGNER_TYPE', 'keystore');
+        expect(() => setVariable(path, 'KEYSTORE_PASSWORD', 'password')).to.throw('Refusing to store raw KEYSTORE_PASSWORD');
+        expect(getVariables(path)).to.not.have.property('MNEMONIC');
+        expect(getVariables(path)).to.not.have.property('KEYSTORE_PASSWORD');
+    });
 });
@@ -0,0 +1,20 @@
+// Settings of the programmatic client are attached to its provider, since every function already receives it
+const providerContexts = new WeakMap();
+
+export const setProviderContext = function (provider, context) {
+    providerContexts.set(provider, context);
+};
+
+export const getProviderContext = function (provider) {
+    return providerContexts.get(provider);
+};
+
+// Without the client (e.g. in tests) progress is printed, with the client it is only passed to `onProgress`
+export const reportProgress = function (provider, message) {
+    const context = getProviderContext(provider);
+    if (!context) {
+        console.info(message);
+        return;
+    }
+    context.onProgress?.(message);
+};
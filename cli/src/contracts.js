@@ -1,6 +1,9 @@
 import ethers from 'ethers';
 import { EAS, SchemaRegistry } from '@ethereum-attestation-service/eas-sdk';
 import { getConfig } from './network.js';
+import { ConfigurationError, InvalidInputError } from './errors.js';
+
+export const SCHEMA_NAMES = ['identity', 'spell', 'deployment'];
 
 const ABIs = {
     easAttesterLike: [
@@ -8,6 +11,8 @@ const ABIs = {
         'function revoke(bytes memory request) external payable',
     ],
     spellAttesterLike: [
+        'event Deny(address indexed usr)',
+        'event Rely(address indexed usr)',
         'function deny(address usr) external',
         'function easAttester() external view returns (address)',
         'function easRegistry() external view returns (address)',
@@ -18,12 +23,32 @@ const ABIs = {
         'function getSpellAddressByPayloadId(string memory payloadId) external view returns (address)',
         'function wards(address) external view returns (uint256)',
     ],
+    resolverLike: [
+        'function name() external view returns (bytes32)',
+    ],
+    identityResolverLike: [
+        'function addressToPseudonymHash(address userAddress) external view returns (bytes32)',
+        'function pseudonymHashToTeamHash(bytes32 userPseudonymHash) external view returns (bytes32)',
+    ],
+    spellResolverLike: [
+        'function payloadIdHashToAttestationId(bytes32 payloadIdHash) external view returns (bytes32)',
+    ],
+    deploymentResolverLike: [
+        'function payloadIdHashToPseudonymHashToPayloadAddress(bytes32 payloadIdHash, bytes32 pseudonymHash) external view returns (address)',
+        'function payloadIdHashToPseudonymHashToPayloadHash(bytes32 payloadIdHash, bytes32 pseudonymHash) external view returns (bytes32)',
+    ],
+};
+
+// SpellAttester and all resolvers are deployed with two addresses, the creation bytecode is provided by the caller
+export const getContractFactory = function (contractName, bytecode, signer) {
+    const abi = contractName === 'SpellAttester' ? ABIs.spellAttesterLike : ABIs.resolverLike;
+    return new ethers.ContractFactory(['constructor(address, address)', ...abi], bytecode, signer);
 };
 
 export const getSpellAttesterContract = async function (provider) {
     const config = await getConfig(provider);
     if (!config.spellAttesterAddress) {
-        throw new Error(`SpellAttester is not yet deployed to chain "${config.chainId}"`);
+        throw new ConfigurationError(`SpellAttester is not yet deployed to chain "${config.chainId}", please provide --spell-attester address`);
     }
     return new ethers.Contract(config.spellAttesterAddress, ABIs.spellAttesterLike, provider);
 };
@@ -39,3 +64,28 @@ export const getEasAttesterContract = async function (provider) {
     const easAttesterAddress = await spellAttester.easAttester();
     return new EAS(easAttesterAddress).connect(provider);
 };
+
+export const getResolverContract = async function (provider, schemaName) {
+    const abi = ABIs[`${schemaName}ResolverLike`];
+    if (!abi) {
+        throw new InvalidInputError(`Unknown schema name "${schemaName}"`);
+    }
+    const spellAttester = await getSpellAttesterContract(provider);
+    const resolverAddress = await spellAttester.schemaNameToResolver(ethers.utils.formatBytes32String(schemaName));
+    return new ethers.Contract(resolverAddress, abi, provider);
+};
+
+// Resolver which is not (yet) filed in the SpellAttester, e.g. of a new schema
+export const getResolverContractByAddress = function (provider, resolverAddress) {
+    return new ethers.Contract(resolverAddress, ABIs.resolverLike, provider);
+};
+
+export const getSchemaName = async function (provider, schemaId) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    for (const schemaName of SCHEMA_NAMES) {
+        if (await spellAttester.schemaNameToSchemaId(ethers.utils.formatBytes32String(schemaName)) === schemaId) {
+            return schemaName;
+        }
+    }
+    return undefined;
+};
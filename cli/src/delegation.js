@@ -0,0 +1,188 @@
+import fs from 'node:fs';
+import ethers from 'ethers';
+import { ATTEST_PRIMARY_TYPE, ATTEST_TYPE, REVOKE_PRIMARY_TYPE, REVOKE_TYPE } from '@ethereum-attestation-service/eas-sdk';
+import {
+    createAttestationRequest,
+    createRevocationRequest,
+    generateAttestationUrl,
+    getAttestation,
+    getAttestationData,
+} from './attestations.js';
+import { getEasAttesterContract, getEasRegistryContract, getSchemaName } from './contracts.js';
+import { getSigner } from './network.js';
+import { checkAttestationRules, checkRevocationRules } from './rules.js';
+import { decodeAttestationData, decodeErrorMessage, prettify } from './helpers.js';
+import { reportProgress } from './context.js';
+import { ERROR_CODES, InvalidRequestError, RuleViolationError, TransactionError } from './errors.js';
+
+const toPlainMessage = function (message) {
+    return { ...message, nonce: message.nonce.toString() };
+};
+
+export const signDelegatedAttestation = async function (provider, name, options) {
+    // Get relevant data
+    const signer = await getSigner(provider);
+    const attester = await signer.getAddress();
+    const easAttester = await getEasAttesterContract(provider);
+    const delegated = await easAttester.getDelegated();
+    const { schema, data } = await createAttestationRequest(provider, name, options);
+
+    // Sign EIP-712 attestation request
+    const response = await delegated.signDelegatedAttestation({
+        schema,
+        recipient: data.recipient,
+        expirationTime: data.expirationTime,
+        revocable: data.revocable,
+        refUID: data.refUID,
+        data: data.data,
+        nonce: await easAttester.getNonce(attester),
+    }, signer);
+    return { type: 'attestation', attester, ...response, message: toPlainMessage(response.message) };
+};
+
+export const signDelegatedRevocation = async function (provider, attestationId) {
+    // Get relevant data
+    const signer = await getSigner(provider);
+    const revoker = await signer.getAddress();
+    const easAttester = await getEasAttesterContract(provider);
+    const delegated = await easAttester.getDelegated();
+    const attestation = await getAttestation(provider, attestationId);
+
+    // Sign EIP-712 revocation request
+    const response = await delegated.signDelegatedRevocation({
+        schema: attestation.schema,
+        uid: attestation.uid,
+        nonce: await easAttester.getNonce(revoker),
+    }, signer);
+    return { type: 'revocation', attester: revoker, ...response, message: toPlainMessage(response.message) };
+};
+
+export const saveDelegatedRequest = function (path, request) {
+    fs.writeFileSync(path, `${prettify(request)}\n`);
+};
+
+export const readDelegatedRequest = function (path) {
+    const request = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    if (!['attestation', 'revocation'].includes(request.type) || !request.signature || !request.message) {
+        throw new InvalidRequestError(`File "${path}" does not contain a signed attestation or revocation request`);
+    }
+    return request;
+};
+
+const getDelegatedRequestViolations = async function (provider, request) {
+    const { message } = request;
+    if (request.type === 'revocation') {
+        return await checkRevocationRules(provider, request.attester, await getAttestation(provider, message.uid));
+    }
+    const schemaName = await getSchemaName(provider, message.schema);
+    if (!schemaName) {
+        return [{
+            rule: ERROR_CODES.SPELL_ATTESTER_UNKNOWN_SCHEMA,
+            message: `Attestation schema "${message.schema}" is not filed in the SpellAttester`,
+        }];
+    }
+    const easRegistry = await getEasRegistryContract(provider);
+    const schemaRecord = await easRegistry.getSchema({ uid: message.schema });
+    const options = decodeAttestationData(schemaRecord.schema, message);
+    return await checkAttestationRules(provider, schemaName, request.attester, options);
+};
+
+export const verifyDelegatedRequest = async function (provider, request) {
+    // Ensure the request is signed for the EAS contract of the current chain
+    const easAttester = await getEasAttesterContract(provider);
+    const delegated = await easAttester.getDelegated();
+    const expectedDomain = delegated.getDomainTypedData();
+    for (const [key, value] of Object.entries(expectedDomain)) {
+        if (String(request.domain?.[key]).toLowerCase() !== String(value).toLowerCase()) {
+            throw new InvalidRequestError(`Signed request has unexpected domain ${key} "${request.domain?.[key]}", expected "${value}"`);
+        }
+    }
+
+    // Ensure signature is made by the attester, typed data of the file is not trusted, since EAS only accepts its own types
+    const [primaryType, type] = request.type === 'attestation' ? [ATTEST_PRIMARY_TYPE, ATTEST_TYPE] : [REVOKE_PRIMARY_TYPE, REVOKE_TYPE];
+    const isValidSignature = delegated.verifyTypedDataRequestSignature(request.attester, {
+        domain: expectedDomain,
+        primaryType,
+        types: { [primaryType]: type },
+        message: Object.fromEntries(type.map(({ name }) => [name, request.message[name]])),
+        signature: request.signature,
+    });
+    if (!isValidSignature) {
+        throw new InvalidRequestError(`Signature is not made by the attester "${request.attester}"`);
+    }
+
+    // Ensure the request can still be relayed
+    const nonce = await easAttester.getNonce(request.attester);
+    if (!nonce.eq(request.message.nonce)) {
+        throw new InvalidRequestError(`Signed request nonce "${request.message.nonce}" is outdated, current nonce of "${request.attester}" is "${nonce}"`);
+    }
+    const violations = await getDelegatedRequestViolations(provider, request);
+    if (violations.length) {
+        throw new RuleViolationError(`Signed request would be rejected: ${violations.map(({ message }) => message).join('; ')}`, violations);
+    }
+};
+
+export const relayDelegatedRequest = async function (provider, request, verbose) {
+    await verifyDelegatedRequest(provider, request);
+    const easAttester = (await getEasAttesterContract(provider)).connect(await getSigner(provider));
+    const { message, signature, attester } = request;
+
+    // Relay revocation
+    if (request.type === 'revocation') {
+        try {
+            const transaction = await easAttester.revokeByDelegation({
+                ...createRevocationRequest({ schema: message.schema, uid: message.uid }),
+                signature,
+                revoker: attester,
+            });
+            reportProgress(provider, `Revocation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
+            await transaction.wait();
+            return {
+                id: message.uid,
+                url: await generateAttestationUrl(provider, message.uid),
+                transactionHash: transaction.tx.hash,
+            };
+        } catch (error) {
+            if (verbose) {
+                console.error(error);
+            }
+            throw new TransactionError(`Attestation can not be revoked: ${decodeErrorMessage(error)}`, { cause: error });
+        }
+    }
+
+    // Relay attestation
+    let attestationId;
+    let transactionHash;
+    try {
+        const transaction = await easAttester.attestByDelegation({
+            schema: message.schema,
+            data: {
+                recipient: message.recipient,
+                expirationTime: message.expirationTime,
+                revocable: message.revocable,
+                refUID: message.refUID,
+                data: message.data,
+                value: 0,
+            },
+            signature,
+            attester,
+        });
+        reportProgress(provider, `Attestation transaction ("${transaction?.tx?.hash}") is submitted, waiting to be mined...`);
+        attestationId = await transaction.wait();
+        transactionHash = transaction.tx.hash;
+    } catch (error) {
+        if (verbose) {
+            console.error(error);
+        }
+        throw new TransactionError(`Attestation can not be created: ${decodeErrorMessage(error)}`, { cause: error });
+    }
+    const attestation = await getAttestationData(provider, attestationId);
+    if (ethers.utils.getAddress(attestation.attester) !== ethers.utils.getAddress(attester)) {
+        throw new TransactionError(`Attestation "${attestationId}" is unexpectedly attested by "${attestation.attester}" instead of "${attester}"`);
+    }
+    return {
+        id: attestationId,
+        url: await generateAttestationUrl(provider, attestationId),
+        transactionHash,
+    };
+};
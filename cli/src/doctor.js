@@ -0,0 +1,113 @@
+import ethers from 'ethers';
+import { BOOTSTRAP_SCHEMAS } from './bootstrap.js';
+import { SCHEMA_NAMES, getEasRegistryContract, getResolverContractByAddress, getSpellAttesterContract } from './contracts.js';
+import { ConfigurationError } from './errors.js';
+import { getWhois } from './identities.js';
+import { getConfig, getSigner } from './network.js';
+import { isAdmin } from './rules.js';
+
+const hasCode = async function (provider, address) {
+    return await provider.getCode(address) !== '0x';
+};
+
+const checkSchema = async function (provider, schemaName) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    const easRegistry = await getEasRegistryContract(provider);
+    const name = ethers.utils.formatBytes32String(schemaName);
+    const schemaId = await spellAttester.schemaNameToSchemaId(name);
+    const resolverAddress = await spellAttester.schemaNameToResolver(name);
+    if (schemaId === ethers.constants.HashZero || resolverAddress === ethers.constants.AddressZero) {
+        return { status: 'fail', message: `Schema is not filed in the SpellAttester (id "${schemaId}", resolver "${resolverAddress}")` };
+    }
+    const schemaRecord = await easRegistry.contract.getSchema(schemaId);
+    if (schemaRecord.uid === ethers.constants.HashZero) {
+        return { status: 'fail', message: `Schema "${schemaId}" is not registered in the EAS registry` };
+    }
+    if (schemaRecord.resolver !== resolverAddress) {
+        return { status: 'fail', message: `Resolver "${resolverAddress}" differs from "${schemaRecord.resolver}" registered for the schema "${schemaId}"` };
+    }
+    const resolverName = ethers.utils.parseBytes32String(await getResolverContractByAddress(provider, resolverAddress).name());
+    if (resolverName !== schemaName) {
+        return { status: 'fail', message: `Resolver "${resolverAddress}" is named "${resolverName}"` };
+    }
+    if (schemaRecord.schema !== BOOTSTRAP_SCHEMAS[schemaName].schema || !schemaRecord.revocable) {
+        return { status: 'warn', message: `Schema "${schemaId}" is "${schemaRecord.schema}" (revocable: ${schemaRecord.revocable}), expected "${BOOTSTRAP_SCHEMAS[schemaName].schema}"` };
+    }
+    return { status: 'pass', message: `Schema "${schemaId}" is resolved by "${resolverAddress}"` };
+};
+
+const checkSigner = async function (provider, signer) {
+    const address = await signer.getAddress();
+    const balance = await provider.getBalance(address);
+    const whois = await getWhois(provider, address);
+    return [
+        balance.isZero()
+            ? { name: 'Signer balance', status: 'fail', message: `Signer "${address}" has no ETH to pay for transactions` }
+            : { name: 'Signer balance', status: 'pass', message: `Signer "${address}" has ${ethers.utils.formatEther(balance)} ETH` },
+        await isAdmin(provider, address)
+            ? { name: 'Signer admin rights', status: 'pass', message: 'Signer is an admin and can attest identities and spells' }
+            : { name: 'Signer admin rights', status: 'warn', message: 'Signer is not an admin and can only attest deployments' },
+        whois.identity?.isActive
+            ? { name: 'Signer identity', status: 'pass', message: `Signer is "${whois.identity.userPseudonym}" of the team "${whois.identity.teamName}"` }
+            : { name: 'Signer identity', status: 'warn', message: 'Signer does not have an active identity and can not attest deployments' },
+    ];
+};
+
+// Checks continue after failures where possible, so a single report shows all problems of the setup at once
+export const runHealthChecks = async function (provider) {
+    const checks = [];
+    const check = async function (name, fn) {
+        try {
+            const result = await fn();
+            checks.push(...[result].flat().map(result => ({ name, ...result })));
+            return checks.at(-1).status !== 'fail';
+        } catch (error) {
+            checks.push({ name, status: 'fail', message: error.reason ?? error.message });
+            return false;
+        }
+    };
+
+    const isConnected = await check('RPC connection', async () => {
+        const { chainId } = await provider.getNetwork();
+        return { status: 'pass', message: `Connected to chain "${chainId}" at block ${await provider.getBlockNumber()}` };
+    });
+    const isConfigured = isConnected && await check('Network profile', async () => {
+        const config = await getConfig(provider);
+        const profile = config.name ? `"${config.name}" profile` : 'no profile';
+        const spellAttester = config.spellAttesterAddress ? ` with SpellAttester "${config.spellAttesterAddress}"` : '';
+        return { status: 'pass', message: `Using ${profile}${spellAttester}` };
+    });
+    const isDeployed = isConfigured && await check('SpellAttester', async () => {
+        const spellAttester = await getSpellAttesterContract(provider);
+        if (!await hasCode(provider, spellAttester.address)) {
+            return { status: 'fail', message: `No code found at "${spellAttester.address}"` };
+        }
+        const easAttesterAddress = await spellAttester.easAttester();
+        const easRegistryAddress = await spellAttester.easRegistry();
+        if (!await hasCode(provider, easAttesterAddress) || !await hasCode(provider, easRegistryAddress)) {
+            return { status: 'fail', message: `EAS "${easAttesterAddress}" or its registry "${easRegistryAddress}" has no code` };
+        }
+        return { status: 'pass', message: `Uses EAS "${easAttesterAddress}" and registry "${easRegistryAddress}"` };
+    });
+    for (const schemaName of SCHEMA_NAMES) {
+        if (!isDeployed) {
+            checks.push({ name: `Schema "${schemaName}"`, status: 'skip', message: 'SpellAttester is not available' });
+            continue;
+        }
+        await check(`Schema "${schemaName}"`, () => checkSchema(provider, schemaName));
+    }
+
+    // Signer is optional, since most of the commands only read the data
+    let signer;
+    try {
+        signer = isConnected ? await getSigner(provider) : undefined;
+    } catch (error) {
+        checks.push({ name: 'Signer', status: error instanceof ConfigurationError ? 'skip' : 'fail', message: error.message });
+    }
+    if (signer && !isDeployed) {
+        checks.push({ name: 'Signer', status: 'skip', message: 'SpellAttester is not available' });
+    } else if (signer) {
+        await check('Signer', () => checkSigner(provider, signer));
+    }
+    return checks;
+};
@@ -0,0 +1,20 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import ethers from 'ethers';
+import { runHealthChecks } from './doctor.js';
+
+describe('Health checks', () => {
+    it('Should report unreachable RPC and skip dependent checks', async () => {
+        const provider = new ethers.providers.StaticJsonRpcProvider('http://127.0.0.1:1', { chainId: 31337, name: 'unknown' });
+        provider.getBlockNumber = async () => {
+            throw new Error('connect ECONNREFUSED 127.0.0.1:1');
+        };
+        const checks = await runHealthChecks(provider);
+        expect(checks[0]).to.deep.equal({ name: 'RPC connection', status: 'fail', message: 'connect ECONNREFUSED 127.0.0.1:1' });
+        expect(checks.slice(1).map(({ name, status }) => ({ name, status }))).to.deep.equal([
+            { name: 'Schema "identity"', status: 'skip' },
+            { name: 'Schema "spell"', status: 'skip' },
+            { name: 'Schema "deployment"', status: 'skip' },
+        ]);
+    });
+});
@@ -0,0 +1,202 @@
+import ethers from 'ethers';
+
+// Revert reasons of the SpellAttester and its resolvers, every code is the revert string itself
+export const ERROR_CODES = Object.freeze({
+    IDENTITY_RESOLVER_NOT_AUTHORIZED_ATTESTER: 'IdentityResolver/not-authorized-attester',
+    IDENTITY_RESOLVER_INVALID_TEAM_NAME: 'IdentityResolver/invalid-team-name',
+    IDENTITY_RESOLVER_INVALID_USER_PSEUDONYM: 'IdentityResolver/invalid-user-pseudonym',
+    IDENTITY_RESOLVER_PSEUDONYM_ALREADY_ATTESTED: 'IdentityResolver/pseudonym-already-attested',
+    IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED: 'IdentityResolver/address-already-attested',
+    IDENTITY_RESOLVER_UNKNOWN_SCHEMA: 'IdentityResolver/unknown-schema',
+    IDENTITY_RESOLVER_UNEXPECTED_RECIPIENT: 'IdentityResolver/unexpected-recipient',
+    IDENTITY_RESOLVER_UNEXPECTED_EXPIRATION_TIME: 'IdentityResolver/unexpected-expirationTime',
+    IDENTITY_RESOLVER_UNEXPECTED_REVOCABLE: 'IdentityResolver/unexpected-revocable',
+    IDENTITY_RESOLVER_UNEXPECTED_REF_UID: 'IdentityResolver/unexpected-refUID',
+    IDENTITY_RESOLVER_UNEXPECTED_VALUE: 'IdentityResolver/unexpected-value',
+    SPELL_RESOLVER_NOT_AUTHORIZED_ATTESTER: 'SpellResolver/not-authorized-attester',
+    SPELL_RESOLVER_ALREADY_ATTESTED_PAYLOAD_ID: 'SpellResolver/already-attested-payload-id',
+    SPELL_RESOLVER_UNKNOWN_CRAFTER: 'SpellResolver/unknown-crafter',
+    SPELL_RESOLVER_UNKNOWN_REVIEWER_A: 'SpellResolver/unknown-reviewerA',
+    SPELL_RESOLVER_UNKNOWN_REVIEWER_B: 'SpellResolver/unknown-reviewerB',
+    SPELL_RESOLVER_NON_UNIQUE_SPELL_MEMBERS: 'SpellResolver/non-unique-spell-members',
+    SPELL_RESOLVER_SAME_TEAM_REVIEWERS: 'SpellResolver/same-team-reviewers',
+    SPELL_RESOLVER_UNKNOWN_SCHEMA: 'SpellResolver/unknown-schema',
+    SPELL_RESOLVER_UNEXPECTED_RECIPIENT: 'SpellResolver/unexpected-recipient',
+    SPELL_RESOLVER_UNEXPECTED_EXPIRATION_TIME: 'SpellResolver/unexpected-expirationTime',
+    SPELL_RESOLVER_UNEXPECTED_REVOCABLE: 'SpellResolver/unexpected-revocable',
+    SPELL_RESOLVER_UNEXPECTED_REF_UID: 'SpellResolver/unexpected-refUID',
+    SPELL_RESOLVER_UNEXPECTED_VALUE: 'SpellResolver/unexpected-value',
+    DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ID: 'DeploymentResolver/unknown-payload-id',
+    DEPLOYMENT_RESOLVER_NOT_SPELL_MEMBER: 'DeploymentResolver/not-spell-member',
+    DEPLOYMENT_RESOLVER_ALREADY_ATTESTED_BY_YOU: 'DeploymentResolver/already-attested-by-you',
+    DEPLOYMENT_RESOLVER_NOT_CRAFTER_FIRST: 'DeploymentResolver/not-crafter-first',
+    DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ADDRESS: 'DeploymentResolver/unknown-payload-address',
+    DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_HASH: 'DeploymentResolver/unknown-payload-hash',
+    DEPLOYMENT_RESOLVER_INCORRECT_PAYLOAD_HASH: 'DeploymentResolver/incorrect-payload-hash',
+    DEPLOYMENT_RESOLVER_EMPTY_PAYLOAD_HASH: 'DeploymentResolver/empty-payload-hash',
+    DEPLOYMENT_RESOLVER_UNKNOWN_SCHEMA: 'DeploymentResolver/unknown-schema',
+    DEPLOYMENT_RESOLVER_UNEXPECTED_RECIPIENT: 'DeploymentResolver/unexpected-recipient',
+    DEPLOYMENT_RESOLVER_UNEXPECTED_EXPIRATION_TIME: 'DeploymentResolver/unexpected-expirationTime',
+    DEPLOYMENT_RESOLVER_UNEXPECTED_REVOCABLE: 'DeploymentResolver/unexpected-revocable',
+    DEPLOYMENT_RESOLVER_UNEXPECTED_REF_UID: 'DeploymentResolver/unexpected-refUID',
+    DEPLOYMENT_RESOLVER_UNEXPECTED_VALUE: 'DeploymentResolver/unexpected-value',
+    SPELL_ATTESTER_NOT_AUTHORIZED: 'SpellAttester/not-authorized',
+    SPELL_ATTESTER_SPELL_NOT_FOUND: 'SpellAttester/spell-not-found',
+    SPELL_ATTESTER_SPELL_NOT_YET_DEPLOYED: 'SpellAttester/spell-not-yet-deployed',
+    SPELL_ATTESTER_SPELL_NOT_YET_REVIEWED: 'SpellAttester/spell-not-yet-reviewed',
+    // Only checked before submitting the transaction, EAS reverts with a custom error instead
+    SPELL_ATTESTER_UNKNOWN_SCHEMA: 'SpellAttester/unknown-schema',
+    EAS_ALREADY_REVOKED: 'EAS/already-revoked',
+    EAS_ACCESS_DENIED: 'EAS/access-denied',
+});
+
+export const ERROR_EXPLANATIONS = Object.freeze({
+    [ERROR_CODES.IDENTITY_RESOLVER_NOT_AUTHORIZED_ATTESTER]: 'Only admins of the SpellAttester can attest or revoke identities',
+    [ERROR_CODES.IDENTITY_RESOLVER_INVALID_TEAM_NAME]: 'Team name can only contain lowercase latin letters or underscores',
+    [ERROR_CODES.IDENTITY_RESOLVER_INVALID_USER_PSEUDONYM]: 'Pseudonym can only contain lowercase latin letters or underscores',
+    [ERROR_CODES.IDENTITY_RESOLVER_PSEUDONYM_ALREADY_ATTESTED]: 'Pseudonym already has an active identity, it needs to be revoked first',
+    [ERROR_CODES.IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED]: 'Address already has an active identity, it needs to be revoked first',
+    [ERROR_CODES.IDENTITY_RESOLVER_UNKNOWN_SCHEMA]: 'Attestation schema is not the identity schema filed in the SpellAttester',
+    [ERROR_CODES.IDENTITY_RESOLVER_UNEXPECTED_RECIPIENT]: 'Identity attestation must not have a recipient',
+    [ERROR_CODES.IDENTITY_RESOLVER_UNEXPECTED_EXPIRATION_TIME]: 'Identity attestation must not expire',
+    [ERROR_CODES.IDENTITY_RESOLVER_UNEXPECTED_REVOCABLE]: 'Identity attestation must be revocable',
+    [ERROR_CODES.IDENTITY_RESOLVER_UNEXPECTED_REF_UID]: 'Identity attestation must not reference other attestations',
+    [ERROR_CODES.IDENTITY_RESOLVER_UNEXPECTED_VALUE]: 'Identity attestation must not send ETH',
+    [ERROR_CODES.SPELL_RESOLVER_NOT_AUTHORIZED_ATTESTER]: 'Only admins of the SpellAttester can attest or revoke spells',
+    [ERROR_CODES.SPELL_RESOLVER_ALREADY_ATTESTED_PAYLOAD_ID]: 'Spell with the same payload id is already attested, it needs to be revoked first',
+    [ERROR_CODES.SPELL_RESOLVER_UNKNOWN_CRAFTER]: 'Crafter does not have an active identity',
+    [ERROR_CODES.SPELL_RESOLVER_UNKNOWN_REVIEWER_A]: 'Reviewer A does not have an active identity',
+    [ERROR_CODES.SPELL_RESOLVER_UNKNOWN_REVIEWER_B]: 'Reviewer B does not have an active identity',
+    [ERROR_CODES.SPELL_RESOLVER_NON_UNIQUE_SPELL_MEMBERS]: 'Crafter and reviewers must be three different people',
+    [ERROR_CODES.SPELL_RESOLVER_SAME_TEAM_REVIEWERS]: 'Reviewers must belong to different teams',
+    [ERROR_CODES.SPELL_RESOLVER_UNKNOWN_SCHEMA]: 'Attestation schema is not the spell schema filed in the SpellAttester',
+    [ERROR_CODES.SPELL_RESOLVER_UNEXPECTED_RECIPIENT]: 'Spell attestation must not have a recipient',
+    [ERROR_CODES.SPELL_RESOLVER_UNEXPECTED_EXPIRATION_TIME]: 'Spell attestation must not expire',
+    [ERROR_CODES.SPELL_RESOLVER_UNEXPECTED_REVOCABLE]: 'Spell attestation must be revocable',
+    [ERROR_CODES.SPELL_RESOLVER_UNEXPECTED_REF_UID]: 'Spell attestation must not reference other attestations',
+    [ERROR_CODES.SPELL_RESOLVER_UNEXPECTED_VALUE]: 'Spell attestation must not send ETH',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ID]: 'Spell with the payload id is not attested, an admin needs to create it first',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_NOT_SPELL_MEMBER]: 'Attester is not the crafter or one of the reviewers of the spell',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_ALREADY_ATTESTED_BY_YOU]: 'Attester already attested deployment of the spell, it needs to be revoked first',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_NOT_CRAFTER_FIRST]: 'Reviewers can only attest deployment after the crafter',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ADDRESS]: 'Payload address differs from the one attested by the crafter',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_HASH]: 'Payload hash differs from the one attested by the crafter',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_INCORRECT_PAYLOAD_HASH]: 'Payload hash differs from the code hash of the payload address',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_EMPTY_PAYLOAD_HASH]: 'Payload hash is a hash of an empty code, the payload needs to be deployed first',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_SCHEMA]: 'Attestation schema is not the deployment schema filed in the SpellAttester',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNEXPECTED_RECIPIENT]: 'Deployment attestation must not have a recipient',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNEXPECTED_EXPIRATION_TIME]: 'Deployment attestation must not expire',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNEXPECTED_REVOCABLE]: 'Deployment attestation must be revocable',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNEXPECTED_REF_UID]: 'Deployment attestation must not reference other attestations',
+    [ERROR_CODES.DEPLOYMENT_RESOLVER_UNEXPECTED_VALUE]: 'Deployment attestation must not send ETH',
+    [ERROR_CODES.SPELL_ATTESTER_NOT_AUTHORIZED]: 'Only admins of the SpellAttester can call this function',
+    [ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_FOUND]: 'Spell with the payload id is not attested',
+    [ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_YET_DEPLOYED]: 'Crafter did not yet attest deployment of the spell',
+    [ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_YET_REVIEWED]: 'Both reviewers did not yet attest deployment of the spell',
+    [ERROR_CODES.SPELL_ATTESTER_UNKNOWN_SCHEMA]: 'Attestation schema is not filed in the SpellAttester',
+    [ERROR_CODES.EAS_ALREADY_REVOKED]: 'Attestation is already revoked',
+    [ERROR_CODES.EAS_ACCESS_DENIED]: 'Attestation can only be revoked by its attester',
+});
+
+const REVERT_SELECTOR = ethers.utils.id('Error(string)').slice(0, 10);
+const EAS_ERROR_SELECTORS = {
+    [ethers.utils.id('AccessDenied()').slice(0, 10)]: ERROR_CODES.EAS_ACCESS_DENIED,
+    [ethers.utils.id('AlreadyRevoked()').slice(0, 10)]: ERROR_CODES.EAS_ALREADY_REVOKED,
+};
+const REASON_PATTERN = /\b(?:IdentityResolver|SpellResolver|DeploymentResolver|SpellAttester|EAS)\/[\w-]+/;
+const MAX_ERROR_DEPTH = 6;
+
+const decodeRevertData = function (data) {
+    if (!ethers.utils.isHexString(data)) {
+        return;
+    }
+    const selector = data.slice(0, 10);
+    if (EAS_ERROR_SELECTORS[selector]) {
+        return EAS_ERROR_SELECTORS[selector];
+    }
+    if (selector !== REVERT_SELECTOR) {
+        return;
+    }
+    try {
+        return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+    } catch {}
+};
+
+const parseJson = function (string) {
+    try {
+        return JSON.parse(string);
+    } catch {}
+};
+
+// Revert data can be nested differently depending on the provider and signer (e.g. `error.error.error.data`)
+const findRevertReason = function (error, depth = 0) {
+    if (!error || typeof error !== 'object' || depth > MAX_ERROR_DEPTH) {
+        return;
+    }
+    const reason = decodeRevertData(error.data)
+        ?? findRevertReason(error.error, depth + 1)
+        ?? findRevertReason(error.cause, depth + 1)
+        ?? findRevertReason(error.data, depth + 1)
+        ?? (typeof error.body === 'string' ? findRevertReason(parseJson(error.body), depth + 1) : undefined);
+    if (reason) {
+        return reason;
+    }
+    // Fall back to the reason string extracted by ethers, e.g. "execution reverted: SpellAttester/spell-not-found"
+    return [error.reason, error.message]
+        .map(message => typeof message === 'string' ? message.match(REASON_PATTERN)?.[0] : undefined)
+        .find(Boolean);
+};
+
+export const decodeRevertReason = function (error) {
+    const reason = findRevertReason(error);
+    if (!reason) {
+        return;
+    }
+    return {
+        code: Object.values(ERROR_CODES).includes(reason) ? reason : undefined,
+        reason,
+        explanation: ERROR_EXPLANATIONS[reason],
+    };
+};
+
+// Base class of all errors thrown by the package, allows to tell them apart from unexpected ones via `instanceof`
+export class SpellAttesterError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = this.constructor.name;
+    }
+}
+
+// Provided attestation data or command options are invalid
+export class InvalidInputError extends SpellAttesterError {}
+
+// Network, contract address or signer are missing or do not match the connected chain
+export class ConfigurationError extends SpellAttesterError {}
+
+export class AttestationNotFoundError extends SpellAttesterError {
+    constructor(attestationId, options) {
+        super('Attestation with uid not found', options);
+        this.attestationId = attestationId;
+    }
+}
+
+// Attestation or revocation would be rejected by the resolvers, every violation contains `rule` and `message`
+export class RuleViolationError extends SpellAttesterError {
+    constructor(message, violations, options) {
+        super(message, options);
+        this.violations = violations;
+    }
+}
+
+// Transaction was rejected by the node or reverted, the original error is available via `cause`
+export class TransactionError extends SpellAttesterError {
+    constructor(message, options) {
+        super(message, options);
+        const revert = decodeRevertReason(options?.cause);
+        this.code = revert?.code;
+        this.explanation = revert?.explanation;
+    }
+}
+
+// Signed request or raw transaction can not be relayed
+export class InvalidRequestError extends SpellAttesterError {}
@@ -0,0 +1,66 @@
+import fs from 'node:fs';
+import { join } from 'node:path';
+import process from 'node:process';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import ethers from 'ethers';
+import { ERROR_CODES, ERROR_EXPLANATIONS, TransactionError, decodeRevertReason } from './errors.js';
+
+const encodeRevertReason = function (reason) {
+    return ethers.utils.hexConcat([
+        ethers.utils.id('Error(string)').slice(0, 10),
+        ethers.utils.defaultAbiCoder.encode(['string'], [reason]),
+    ]);
+};
+
+const findSolidityFiles = function (dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+        ? findSolidityFiles(join(dir, entry.name))
+        : entry.name.endsWith('.sol') ? [join(dir, entry.name)] : []);
+};
+
+describe('Error codes', () => {
+    it('Should define code with explanation for every revert reason of the contracts', () => {
+        const sources = findSolidityFiles(join(process.cwd(), '..', 'src')).map(path => fs.readFileSync(path, 'utf-8'));
+        const reasons = new Set(sources.flatMap(source => source.match(/"(?:IdentityResolver|SpellResolver|DeploymentResolver|SpellAttester)\/[\w-]+"/g) ?? []));
+        expect(reasons.size).to.be.greaterThan(0);
+        for (const reason of reasons) {
+            const code = JSON.parse(reason);
+            expect(Object.values(ERROR_CODES)).to.include(code);
+            expect(ERROR_EXPLANATIONS[code]).to.be.a('string');
+        }
+    });
+
+    it('Should declare the same codes in the client types', () => {
+        const declarations = fs.readFileSync(join(process.cwd(), 'src', 'client.d.ts'), 'utf-8');
+        const [, block] = declarations.match(/export declare const ERROR_CODES: \{([^}]*)\};/);
+        const declaredCodes = Object.fromEntries([...block.matchAll(/readonly (\w+): '([^']+)';/g)].map(([, key, code]) => [key, code]));
+        expect(declaredCodes).to.deep.equal(ERROR_CODES);
+    });
+
+    it('Should decode revert reason nested in the provider error', () => {
+        const data = encodeRevertReason(ERROR_CODES.SPELL_RESOLVER_SAME_TEAM_REVIEWERS);
+        expect(decodeRevertReason({ error: { error: { error: { data } } } })).to.deep.equal({
+            code: 'SpellResolver/same-team-reviewers',
+            reason: 'SpellResolver/same-team-reviewers',
+            explanation: 'Reviewers must belong to different teams',
+        });
+        const body = JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: 3, message: 'execution reverted', data } });
+        expect(decodeRevertReason({ error: { body } }).code).to.equal(ERROR_CODES.SPELL_RESOLVER_SAME_TEAM_REVIEWERS);
+        expect(decodeRevertReason({ reason: 'execution reverted: SpellAttester/spell-not-found' }).code).to.equal(ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_FOUND);
+    });
+
+    it('Should decode EAS custom errors and unknown reasons', () => {
+        expect(decodeRevertReason({ data: ethers.utils.id('AlreadyRevoked()').slice(0, 10) }).code).to.equal(ERROR_CODES.EAS_ALREADY_REVOKED);
+        expect(decodeRevertReason({ data: encodeRevertReason('Unexpected') })).to.deep.equal({ code: undefined, reason: 'Unexpected', explanation: undefined });
+        expect(decodeRevertReason(new Error('could not detect network'))).to.equal(undefined);
+    });
+
+    it('Should expose the code of the reverted transaction', () => {
+        const cause = { error: { data: encodeRevertReason(ERROR_CODES.IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED) } };
+        const error = new TransactionError('Attestation can not be created', { cause });
+        expect(error.code).to.equal(ERROR_CODES.IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED);
+        expect(error.explanation).to.equal(ERROR_EXPLANATIONS[ERROR_CODES.IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED]);
+        expect(error.cause).to.equal(cause);
+    });
+});
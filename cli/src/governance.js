@@ -0,0 +1,203 @@
+import ethers from 'ethers';
+import { getLogsInChunks } from './cache.js';
+import { SCHEMA_NAMES, getEasRegistryContract, getResolverContractByAddress, getSpellAttesterContract } from './contracts.js';
+import { reportProgress } from './context.js';
+import { ERROR_CODES, InvalidInputError, RuleViolationError, TransactionError } from './errors.js';
+import { decodeErrorMessage } from './helpers.js';
+import { multicall } from './multicall.js';
+import { getDatesFromBlockNumbers, getSigner, getSpellAttesterDeploymentBlock } from './network.js';
+import { isAdmin } from './rules.js';
+
+const ADMIN_ACTIONS = {
+    rely: 'added to',
+    deny: 'removed from',
+};
+
+// Admins are reconstructed from the `Rely` and `Deny` events, the resulting state is verified against `wards`
+export const getAdmins = async function (provider) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    const eventTypes = {
+        [spellAttester.interface.getEventTopic('Rely')]: 'Rely',
+        [spellAttester.interface.getEventTopic('Deny')]: 'Deny',
+    };
+    const logs = await getLogsInChunks(
+        provider,
+        { address: spellAttester.address, topics: [Object.keys(eventTypes)] },
+        await getSpellAttesterDeploymentBlock(provider),
+        await provider.getBlockNumber(),
+    );
+
+    // Only the latest event of every address defines its expected state
+    const latestLogs = new Map();
+    for (const log of logs) {
+        latestLogs.set(ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)), log);
+    }
+    const addresses = [...latestLogs.keys()];
+    const wards = await multicall(provider, addresses.map(address => ({ contract: spellAttester, method: 'wards', args: [address] })));
+    const dates = await getDatesFromBlockNumbers(provider, [...latestLogs.values()].map(log => log.blockNumber));
+    return [...latestLogs.values()].map((log, index) => {
+        const lastEvent = eventTypes[log.topics[0]];
+        const isAdmin = wards[index].eq(1);
+        return {
+            address: addresses[index],
+            isAdmin,
+            isVerified: isAdmin === (lastEvent === 'Rely'),
+            lastEvent,
+            changedAt: dates[index],
+            transactionHash: log.transactionHash,
+        };
+    });
+};
+
+const assertIsAdmin = async function (provider, address, action) {
+    if (!await isAdmin(provider, address)) {
+        const message = `Address "${address}" is not an admin of the SpellAttester and can not ${action}`;
+        throw new RuleViolationError(message, [{ rule: ERROR_CODES.SPELL_ATTESTER_NOT_AUTHORIZED, message }]);
+    }
+};
+
+// Exported transactions are executed by another account (e.g. a multisig), so the rules are only checked against it when it is known
+const getExecutorAddress = async function (provider, from, action) {
+    if (!from) {
+        return undefined;
+    }
+    if (!ethers.utils.isAddress(from)) {
+        throw new InvalidInputError(`Executor address "${from}" is invalid or has incorrect checksum`);
+    }
+    const executorAddress = ethers.utils.getAddress(from);
+    await assertIsAdmin(provider, executorAddress, action);
+    return executorAddress;
+};
+
+const getSignerAddress = async function (provider) {
+    return await (await getSigner(provider)).getAddress();
+};
+
+export const planAdminChange = async function (provider, { action, address, from }) {
+    if (!ADMIN_ACTIONS[action]) {
+        throw new InvalidInputError(`Unknown admin action "${action}", expected one of: ${Object.keys(ADMIN_ACTIONS).join(', ')}`);
+    }
+    if (!ethers.utils.isAddress(address)) {
+        throw new InvalidInputError(`Address "${address}" is invalid or has incorrect checksum`);
+    }
+    address = ethers.utils.getAddress(address);
+    from = await getExecutorAddress(provider, from, 'change admins');
+    const isAddressAdmin = await isAdmin(provider, address);
+    if (action === 'rely') {
+        if (isAddressAdmin) {
+            throw new InvalidInputError(`Address "${address}" is already an admin of the SpellAttester`);
+        }
+        return { action, address, from };
+    }
+
+    // Removal must never leave the SpellAttester without admins or the executor without access
+    if (!isAddressAdmin) {
+        throw new InvalidInputError(`Address "${address}" is not an admin of the SpellAttester`);
+    }
+    if (address === from) {
+        throw new InvalidInputError(`Address "${address}" executes the transaction, please remove it using another admin`);
+    }
+    const remainingAdmins = (await getAdmins(provider)).filter(admin => admin.isAdmin && admin.address !== address);
+    if (!remainingAdmins.length) {
+        throw new InvalidInputError(`Address "${address}" is the last admin of the SpellAttester and can not be removed`);
+    }
+    return { action, address, from };
+};
+
+const createSpellAttesterTransaction = async function (provider, functionName, args) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    const { chainId } = await provider.getNetwork();
+    return {
+        chainId,
+        to: spellAttester.address,
+        value: '0',
+        data: spellAttester.interface.encodeFunctionData(functionName, args),
+        request: args,
+    };
+};
+
+const submitSpellAttesterTransaction = async function (provider, functionName, args, errorMessage, verbose) {
+    const spellAttester = (await getSpellAttesterContract(provider)).connect(await getSigner(provider));
+    try {
+        const transaction = await spellAttester[functionName](...args);
+        reportProgress(provider, `Transaction ("${transaction.hash}") is submitted, waiting to be mined...`);
+        await transaction.wait();
+        return { transactionHash: transaction.hash };
+    } catch (error) {
+        if (verbose) {
+            console.error(error);
+        }
+        throw new TransactionError(`${errorMessage}: ${decodeErrorMessage(error)}`, { cause: error });
+    }
+};
+
+export const createAdminChangeTransaction = async function (provider, { action, address }) {
+    return await createSpellAttesterTransaction(provider, action, [address]);
+};
+
+export const changeAdmin = async function (provider, plan, verbose) {
+    // Plan made for another executor is checked again, since the signer submits the transaction directly
+    const signerAddress = await getSignerAddress(provider);
+    const { action, address } = plan.from === signerAddress ? plan : await planAdminChange(provider, { ...plan, from: signerAddress });
+    const result = await submitSpellAttesterTransaction(provider, action, [address], `Address can not be ${ADMIN_ACTIONS[action]} admins`, verbose);
+    if (await isAdmin(provider, address) !== (action === 'rely')) {
+        throw new TransactionError(`Address "${address}" is unexpectedly not ${ADMIN_ACTIONS[action]} admins`);
+    }
+    return { action, address, from: signerAddress, ...result };
+};
+
+// Ensures the schema is registered in EAS and is resolved by the resolver of the same name
+export const planSchemaFiling = async function (provider, { schemaName, schemaId, from }) {
+    if (!SCHEMA_NAMES.includes(schemaName)) {
+        throw new InvalidInputError(`Unknown schema name "${schemaName}", expected one of: ${SCHEMA_NAMES.join(', ')}`);
+    }
+    if (!ethers.utils.isHexString(schemaId, 32)) {
+        throw new InvalidInputError(`Schema id "${schemaId}" is not a valid bytes32 hex string`);
+    }
+    schemaId = schemaId.toLowerCase();
+    from = await getExecutorAddress(provider, from, 'file schemas');
+    const spellAttester = await getSpellAttesterContract(provider);
+    const currentSchemaId = await spellAttester.schemaNameToSchemaId(ethers.utils.formatBytes32String(schemaName));
+    if (currentSchemaId === schemaId) {
+        throw new InvalidInputError(`Schema "${schemaId}" is already filed as "${schemaName}"`);
+    }
+    const easRegistry = await getEasRegistryContract(provider);
+    const schemaRecord = await easRegistry.contract.getSchema(schemaId);
+    if (schemaRecord.uid === ethers.constants.HashZero) {
+        throw new InvalidInputError(`Schema "${schemaId}" is not registered in the EAS registry "${easRegistry.contract.address}"`);
+    }
+    let resolverName;
+    try {
+        resolverName = ethers.utils.parseBytes32String(await getResolverContractByAddress(provider, schemaRecord.resolver).name());
+    } catch {
+        throw new InvalidInputError(`Resolver "${schemaRecord.resolver}" of the schema "${schemaId}" does not have a valid name`);
+    }
+    if (resolverName !== schemaName) {
+        throw new InvalidInputError(`Resolver "${schemaRecord.resolver}" of the schema "${schemaId}" is named "${resolverName}" instead of "${schemaName}"`);
+    }
+    return {
+        schemaName,
+        schemaId,
+        currentSchemaId,
+        schema: schemaRecord.schema,
+        resolver: schemaRecord.resolver,
+        revocable: schemaRecord.revocable,
+        from,
+    };
+};
+
+export const createSchemaFilingTransaction = async function (provider, { schemaName, schemaId }) {
+    return await createSpellAttesterTransaction(provider, 'fileSchema', [ethers.utils.formatBytes32String(schemaName), schemaId]);
+};
+
+export const fileSchema = async function (provider, plan, verbose) {
+    const signerAddress = await getSignerAddress(provider);
+    const { schemaName, schemaId } = plan.from === signerAddress ? plan : await planSchemaFiling(provider, { ...plan, from: signerAddress });
+    const name = ethers.utils.formatBytes32String(schemaName);
+    const result = await submitSpellAttesterTransaction(provider, 'fileSchema', [name, schemaId], `Schema "${schemaName}" can not be filed`, verbose);
+    const spellAttester = await getSpellAttesterContract(provider);
+    if (await spellAttester.schemaNameToSchemaId(name) !== schemaId.toLowerCase()) {
+        throw new TransactionError(`Schema "${schemaName}" is unexpectedly not filed as "${schemaId}"`);
+    }
+    return { schemaName, schemaId, from: signerAddress, ...result };
+};
@@ -1,11 +1,16 @@
 import process from 'node:process';
 import chalk from 'chalk';
 import ethers from 'ethers';
+import { InvalidInputError, RuleViolationError, decodeRevertReason } from './errors.js';
 
 export const prettify = function (object) {
     return JSON.stringify(object, null, 2);
 };
 
+export const hashString = function (value) {
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(value));
+};
+
 export const handleErrors = async function (verbose, fn) {
     const printSuccess = message => console.info(chalk.bold.green(message));
     const printError = message => console.info(chalk.bold.red(message));
@@ -20,17 +25,27 @@ export const handleErrors = async function (verbose, fn) {
     }
 };
 
+export const reportSimulation = function ({ violations, gasEstimate, error }, { printSuccess, printError }) {
+    if (!violations.length && !error) {
+        printSuccess(`Dry run succeeded, the transaction is estimated to use ${gasEstimate} gas`);
+        return;
+    }
+    printError('Dry run found the following problems:');
+    for (const { rule, message } of violations) {
+        printError(`- ${message} ("${rule}")`);
+    }
+    if (error) {
+        printError(`- Transaction simulation failed with "${error}"`);
+    }
+    throw new RuleViolationError('Dry run failed, the transaction would revert', violations);
+};
+
 export const decodeErrorMessage = function (error) {
-    try {
-        const calldata = error?.error?.error?.error?.data;
-        const reasonString = ethers.utils.defaultAbiCoder.decode(
-            ['string'],
-            ethers.utils.hexDataSlice(calldata, 4),
-        )[0];
-        return `execution reverted: ${reasonString}`;
-    } catch {
-        return error?.error?.reason || error?.reason || error;
+    const revert = decodeRevertReason(error);
+    if (revert) {
+        return `execution reverted: ${revert.reason}${revert.explanation ? ` (${revert.explanation})` : ''}`;
     }
+    return error?.error?.reason || error?.reason || error;
 };
 
 export const decodeAttestationData = function (schema, attestation) {
@@ -57,19 +72,19 @@ export const encodeAttestationData = function (schema, options) {
         const [type, key] = optionType.split(' ');
         const value = options[key];
         if (!value) {
-            throw new Error(`Option "${key}" can not be empty`);
+            throw new InvalidInputError(`Option "${key}" can not be empty`);
         }
         if (type === 'address') {
             try {
                 ethers.utils.getAddress(value);
             } catch (error) {
-                throw new Error(`Option "${key}" is invalid, please ensure checksummed format`);
+                throw new InvalidInputError(`Option "${key}" is invalid, please ensure checksummed format`);
             }
         }
         if (type === 'bytes32') {
             const valueBytes = ethers.utils.arrayify(value);
             if (!ethers.utils.isBytes(valueBytes) || valueBytes.length !== 32) {
-                throw new Error(`Option "${key}" is invalid, please ensure bytes32 format`);
+                throw new InvalidInputError(`Option "${key}" is invalid, please ensure bytes32 format`);
             }
             // Use converted value instead of the string
             optionValues.push(valueBytes);
@@ -90,3 +105,45 @@ export const formatAttestationEvent = function (event) {
         url: event.url,
     };
 };
+
+export const formatAttestation = function (attestation) {
+    return {
+        schema: attestation.schemaName,
+        uid: attestation.uid,
+        attestedAt: attestation.attestedAt,
+        isActive: attestation.isActive,
+        revokedAt: attestation.revokedAt,
+        data: JSON.stringify(attestation.data),
+    };
+};
+
+// `--active` only keeps not revoked attestations, `--all` also includes revoked ones
+export const getActiveFilter = function ({ active, all }, isActiveByDefault) {
+    if (active || (!all && isActiveByDefault)) {
+        return true;
+    }
+};
+
+export const formatIdentity = function (identity) {
+    return {
+        pseudonym: identity.userPseudonym,
+        team: identity.teamName,
+        address: identity.userAddress,
+        status: identity.isActive ? 'active' : 'revoked',
+        date: identity.attestedAt,
+        url: identity.url,
+    };
+};
+
+export const formatSpellMember = function (member) {
+    const formatBoolean = value => value ? 'yes' : 'no';
+    return {
+        role: member.role,
+        pseudonym: member.pseudonym,
+        team: member.teamName ?? '-',
+        address: member.userAddress ?? '-',
+        identity: member.isIdentityActive ? 'active' : 'missing',
+        deployment: member.payloadAddress ?? 'missing',
+        matchesCrafter: member.role === 'crafter' ? '-' : formatBoolean(member.isMatchingCrafter),
+    };
+};
@@ -0,0 +1,180 @@
+import ethers from 'ethers';
+import {
+    createAttestation,
+    createAttestationTransaction,
+    createRevocationTransaction,
+    getAttestation,
+    getAttestations,
+    getDeploymentEvents,
+    getIdentityEvents,
+    getSpellEvents,
+    revokeAttestation,
+    toAttestationRecords,
+} from './attestations.js';
+import { getResolverContract } from './contracts.js';
+import { hashString } from './helpers.js';
+import { getSigner } from './network.js';
+import { checkIdentityRules, checkRevocationRules } from './rules.js';
+import { getVerifiedSpellAddress } from './watch.js';
+import { ERROR_CODES, InvalidInputError, RuleViolationError, TransactionError } from './errors.js';
+
+export const SPELL_ROLES = ['crafter', 'reviewerA', 'reviewerB'];
+
+const isRevoked = function (attestation) {
+    return attestation.revocationTime.toString() !== '0';
+};
+
+const toIdentity = function (record) {
+    const { teamName, userPseudonym, userAddress } = record.data;
+    return {
+        teamName,
+        userPseudonym,
+        userAddress,
+        isActive: record.isActive,
+        attestedAt: record.attestedAt,
+        revokedAt: record.revokedAt,
+        attester: record.attester,
+        attestationId: record.uid,
+        url: record.url,
+    };
+};
+
+export const getIdentities = async function (provider, { isActive } = {}) {
+    const records = await getAttestations(provider, { schemaName: 'identity', isActive });
+    return records
+        .map(toIdentity)
+        .sort((a, b) => a.teamName.localeCompare(b.teamName) || a.userPseudonym.localeCompare(b.userPseudonym));
+};
+
+export const groupIdentitiesByTeam = function (identities) {
+    const teams = new Map();
+    for (const identity of identities) {
+        teams.set(identity.teamName, [...teams.get(identity.teamName) ?? [], identity]);
+    }
+    return [...teams].map(([teamName, members]) => ({
+        teamName,
+        activeMembers: members.filter(({ isActive }) => isActive).length,
+        members,
+    }));
+};
+
+const getSpellParticipation = async function (provider, pseudonyms, addresses) {
+    const spellEvents = (await getSpellEvents(provider)).filter(event => event.type.startsWith('Attested'));
+    const deploymentEvents = addresses.length
+        ? (await getDeploymentEvents(provider, { attester: addresses })).filter(event => event.type.startsWith('Attested'))
+        : [];
+    const spells = [];
+    for (const event of spellEvents) {
+        for (const role of SPELL_ROLES) {
+            const pseudonym = event.attestation.data[role];
+            if (!pseudonyms.includes(pseudonym)) {
+                continue;
+            }
+            const { payloadId } = event.attestation.data;
+            const deployments = deploymentEvents.filter(deploymentEvent => deploymentEvent.attestation.data.payloadId === payloadId);
+            const deployment = deployments.findLast(({ attestation }) => !isRevoked(attestation)) ?? deployments.at(-1);
+            spells.push({
+                payloadId,
+                role,
+                pseudonym,
+                isSpellActive: !isRevoked(event.attestation),
+                hasDeployment: !!deployment && !isRevoked(deployment.attestation),
+                payloadAddress: deployment?.attestation.data.payloadAddress,
+                attestedAt: event.date,
+            });
+        }
+    }
+    return spells;
+};
+
+// Accepts either ethereum address or pseudonym
+export const getWhois = async function (provider, query) {
+    const isAddress = ethers.utils.isAddress(query);
+    const events = isAddress
+        ? (await getIdentityEvents(provider)).filter(event => event.attestation.data.userAddress.toLowerCase() === query.toLowerCase())
+        : await getIdentityEvents(provider, { userPseudonym: query });
+    const identities = toAttestationRecords('identity', events).map(toIdentity);
+    // Prefer the latest active identity, fall back to the latest revoked one
+    const identity = identities.findLast(({ isActive }) => isActive) ?? identities.at(-1);
+    const pseudonyms = [...new Set(identities.map(({ userPseudonym }) => userPseudonym))];
+    const addresses = [...new Set(identities.map(({ userAddress }) => userAddress))];
+    return {
+        query,
+        identity,
+        history: events,
+        spells: await getSpellParticipation(provider, pseudonyms, addresses),
+    };
+};
+
+export const planIdentityRotation = async function (provider, { userPseudonym, newAddress, teamName }) {
+    const { identity, spells } = await getWhois(provider, userPseudonym);
+    if (!identity?.isActive) {
+        throw new InvalidInputError(`Pseudonym "${userPseudonym}" does not have an active identity`);
+    }
+    if (!ethers.utils.isAddress(newAddress)) {
+        throw new InvalidInputError(`New address "${newAddress}" is invalid or has incorrect checksum`);
+    }
+    const userAddress = ethers.utils.getAddress(newAddress);
+    if (userAddress === ethers.utils.getAddress(identity.userAddress)) {
+        throw new InvalidInputError(`Pseudonym "${userPseudonym}" already uses address "${userAddress}"`);
+    }
+
+    // Ensure both revocation and the new attestation can be made by the signer before anything is revoked,
+    // the pseudonym itself is only freed by the revocation
+    const newIdentity = { teamName: teamName ?? identity.teamName, userPseudonym, userAddress };
+    const signerAddress = await (await getSigner(provider)).getAddress();
+    const violations = [
+        ...await checkRevocationRules(provider, signerAddress, await getAttestation(provider, identity.attestationId)),
+        ...(await checkIdentityRules(provider, signerAddress, newIdentity)).filter(({ rule }) => rule !== ERROR_CODES.IDENTITY_RESOLVER_PSEUDONYM_ALREADY_ATTESTED),
+    ];
+    if (violations.length) {
+        throw new RuleViolationError(`Identity can not be rotated: ${violations.map(({ message }) => message).join('; ')}`, violations);
+    }
+
+    // Spells which are not yet verified, but involve this pseudonym
+    const openSpells = [];
+    for (const spell of spells.filter(spell => spell.isSpellActive && spell.pseudonym === userPseudonym)) {
+        if (!await getVerifiedSpellAddress(provider, spell.payloadId)) {
+            openSpells.push(spell);
+        }
+    }
+    return {
+        identity,
+        newIdentity,
+        openSpells,
+    };
+};
+
+export const createIdentityRotationTransactions = async function (provider, plan) {
+    return [
+        await createRevocationTransaction(provider, plan.identity.attestationId),
+        await createAttestationTransaction(provider, 'identity', plan.newIdentity),
+    ];
+};
+
+const verifyIdentityRotation = async function (provider, { identity, newIdentity }) {
+    const identityResolver = await getResolverContract(provider, 'identity');
+    const pseudonymHash = hashString(newIdentity.userPseudonym);
+    if (await identityResolver.addressToPseudonymHash(newIdentity.userAddress) !== pseudonymHash) {
+        throw new TransactionError(`New address "${newIdentity.userAddress}" is not linked to the pseudonym "${newIdentity.userPseudonym}"`);
+    }
+    if (await identityResolver.addressToPseudonymHash(identity.userAddress) !== ethers.constants.HashZero) {
+        throw new TransactionError(`Old address "${identity.userAddress}" is still linked to an identity`);
+    }
+    if (await identityResolver.pseudonymHashToTeamHash(pseudonymHash) !== hashString(newIdentity.teamName)) {
+        throw new TransactionError(`Pseudonym "${newIdentity.userPseudonym}" is not linked to the team "${newIdentity.teamName}"`);
+    }
+};
+
+// Revokes the old identity first, since the pseudonym can only have one active identity
+export const rotateIdentity = async function (provider, plan, verbose) {
+    const revocation = await revokeAttestation(provider, plan.identity.attestationId, verbose);
+    let attestation;
+    try {
+        attestation = await createAttestation(provider, 'identity', plan.newIdentity, verbose);
+    } catch (error) {
+        throw new TransactionError(`Old identity is revoked, but the new one is not created, please retry using "create-identity": ${error.message}`, { cause: error });
+    }
+    await verifyIdentityRotation(provider, plan);
+    return { revocation, attestation };
+};
@@ -0,0 +1,94 @@
+import ethers from 'ethers';
+import { ConfigurationError } from './errors.js';
+
+// Deployed to the same address on all major chains, see https://www.multicall3.com
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) view returns ((bool success, bytes returnData)[] returnData)',
+];
+const MAX_CALLS_PER_BATCH = 100;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500;
+
+const sleep = function (milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+};
+
+export const withRetries = async function (fn, { retries = DEFAULT_RETRIES, delay = DEFAULT_RETRY_DELAY } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            // Reverts are deterministic, so only network errors are retried
+            if (attempt >= retries || error.code === 'CALL_EXCEPTION') {
+                throw error;
+            }
+            await sleep(delay * 2 ** attempt);
+        }
+    }
+};
+
+export const mapWithConcurrency = async function (items, fn, concurrency = DEFAULT_CONCURRENCY) {
+    const results = Array.from({ length: items.length });
+    let nextIndex = 0;
+    const worker = async function () {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+};
+
+const splitIntoChunks = function (items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+};
+
+const multicallSupport = new WeakMap();
+
+const isMulticallDeployed = function (provider) {
+    if (!multicallSupport.has(provider)) {
+        const isDeployed = withRetries(() => provider.getCode(MULTICALL3_ADDRESS)).then(code => code !== '0x');
+        // Failed check is forgotten, so that long-lived providers are not broken by a single RPC outage
+        isDeployed.catch(() => multicallSupport.delete(provider));
+        multicallSupport.set(provider, isDeployed);
+    }
+    return multicallSupport.get(provider);
+};
+
+const decodeResult = function (contract, method, returnData) {
+    const result = contract.interface.decodeFunctionResult(method, returnData);
+    // Same as ethers contract calls: single return value is unwrapped
+    return result.length === 1 ? result[0] : result;
+};
+
+// Executes view calls (`{ contract, method, args }`) in as few requests as possible, preserving their order
+export const multicall = async function (provider, calls) {
+    if (!calls.length) {
+        return [];
+    }
+    if (!await isMulticallDeployed(provider)) {
+        return await mapWithConcurrency(calls, ({ contract, method, args }) => withRetries(() => contract[method](...args)));
+    }
+    const multicall3 = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    const batches = await mapWithConcurrency(splitIntoChunks(calls, MAX_CALLS_PER_BATCH), batch => withRetries(() => {
+        return multicall3.aggregate3(batch.map(({ contract, method, args }) => ({
+            target: contract.address,
+            allowFailure: true,
+            callData: contract.interface.encodeFunctionData(method, args),
+        })));
+    }));
+    return batches.flat().map(({ success, returnData }, index) => {
+        const { contract, method } = calls[index];
+        if (!success) {
+            throw new ConfigurationError(`Call of "${method}" on "${contract.address}" failed`);
+        }
+        return decodeResult(contract, method, returnData);
+    });
+};
@@ -0,0 +1,67 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { describe, it } from 'mocha';
+import { mapWithConcurrency, multicall, withRetries } from './multicall.js';
+
+chai.use(chaiAsPromised);
+
+describe('Batched reads', () => {
+    it('Should map items with bounded concurrency preserving the order', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 0, 5], async (delay) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            running--;
+            return delay * 2;
+        }, 2);
+        expect(results).to.deep.equal([60, 20, 40, 0, 10]);
+        expect(maxRunning).to.equal(2);
+    });
+
+    it('Should retry network errors but not reverts', async () => {
+        let attempts = 0;
+        const result = await withRetries(async () => {
+            if (++attempts < 3) {
+                throw new Error('timeout');
+            }
+            return 'ok';
+        }, { delay: 1 });
+        expect(result).to.equal('ok');
+
+        attempts = 0;
+        const revert = Object.assign(new Error('reverted'), { code: 'CALL_EXCEPTION' });
+        await expect(withRetries(async () => {
+            attempts++;
+            throw revert;
+        }, { delay: 1 })).to.be.rejectedWith('reverted');
+        expect(attempts).to.equal(1);
+    });
+
+    it('Should fall back to individual calls if Multicall3 is not deployed', async () => {
+        const provider = { getCode: async () => '0x' };
+        const contract = { double: async value => value * 2 };
+        const calls = [1, 2, 3].map(value => ({ contract, method: 'double', args: [value] }));
+        expect(await multicall(provider, calls)).to.deep.equal([2, 4, 6]);
+        expect(await multicall(provider, [])).to.deep.equal([]);
+    });
+
+    it('Should retry Multicall3 detection and forget its failure', async () => {
+        const responses = [new Error('timeout'), Object.assign(new Error('missing response'), { code: 'CALL_EXCEPTION' }), '0x'];
+        const provider = {
+            getCode: async () => {
+                const response = responses.shift();
+                if (response instanceof Error) {
+                    throw response;
+                }
+                return response;
+            },
+        };
+        const contract = { double: async value => value * 2 };
+        const calls = [{ contract, method: 'double', args: [1] }];
+        await expect(multicall(provider, calls)).to.be.rejectedWith('missing response');
+        expect(await multicall(provider, calls)).to.deep.equal([2]);
+        expect(responses).to.deep.equal([]);
+    });
+});
@@ -1,50 +1,246 @@
 import process from 'node:process';
 import fs from 'node:fs';
+import os from 'node:os';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import ethers from 'ethers';
+import { mapWithConcurrency, withRetries } from './multicall.js';
+import { RpcSigner, SIGNER_TYPES, getKeystoreWallet, getMnemonicWallet } from './signers.js';
+import { getProviderContext } from './context.js';
+import { ConfigurationError } from './errors.js';
 
-const DEFAULT_RPC_URL = 'https://sepolia.gateway.tenderly.co/30jHDuRkVZiiCMsqy8TH04';
+const DEFAULT_NETWORK = 'sepolia';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const configPath = join(__dirname, '..', 'config.json');
 export const envPath = join(process.cwd(), '.env');
+export const configDir = process.env.SPELL_ATTESTER_CONFIG_DIR
+    || join(process.env.XDG_CONFIG_HOME || join(os.homedir(), '.config'), 'spell-attester');
+
+// Selected via global `--network` and `--spell-attester` options
+const networkOptions = {};
+
+export const setNetworkOptions = function ({ network, spellAttesterAddress }) {
+    networkOptions.network = network;
+    networkOptions.spellAttesterAddress = spellAttesterAddress;
+};
+
+export const getSelectedNetwork = function () {
+    return networkOptions.network || process.env.NETWORK;
+};
+
+export const getSpellAttesterOverride = function () {
+    return networkOptions.spellAttesterAddress || process.env.SPELL_ATTESTER_ADDRESS;
+};
+
+const validateSpellAttesterAddress = function (address) {
+    if (address && !ethers.utils.isAddress(address)) {
+        throw new ConfigurationError(`Provided SpellAttester address "${address}" is not a valid address`);
+    }
+    return address;
+};
+
+// Bundled profiles can be extended or overwritten by the user-defined ones (e.g. for private forks)
+export const getNetworkProfiles = function (userProfilesPath = join(configDir, 'networks.json')) {
+    const profiles = { ...JSON.parse(fs.readFileSync(configPath)).networks };
+    if (!fs.existsSync(userProfilesPath)) {
+        return profiles;
+    }
+    const userProfiles = JSON.parse(fs.readFileSync(userProfilesPath));
+    for (const [name, profile] of Object.entries(userProfiles)) {
+        profiles[name] = { ...profiles[name], ...profile };
+    }
+    return profiles;
+};
+
+export const assertNetworkProfileCanBeSaved = function (name, chainId, userProfilesPath = join(configDir, 'networks.json')) {
+    const existingProfile = getNetworkProfiles(userProfilesPath)[name];
+    if (existingProfile && existingProfile.chainId !== chainId) {
+        throw new ConfigurationError(`Network "${name}" expects chain id "${existingProfile.chainId}", please choose another profile name for chain "${chainId}"`);
+    }
+};
+
+// Only the user-defined profiles are changed, e.g. to point a bundled profile to a freshly bootstrapped deployment
+export const saveNetworkProfile = function (name, profile, userProfilesPath = join(configDir, 'networks.json')) {
+    assertNetworkProfileCanBeSaved(name, profile.chainId, userProfilesPath);
+    const userProfiles = fs.existsSync(userProfilesPath) ? JSON.parse(fs.readFileSync(userProfilesPath)) : {};
+    userProfiles[name] = { ...userProfiles[name], ...profile };
+    fs.mkdirSync(dirname(userProfilesPath), { recursive: true });
+    fs.writeFileSync(userProfilesPath, `${JSON.stringify(userProfiles, null, 4)}\n`);
+    return userProfilesPath;
+};
+
+const getNetworkProfile = function (name) {
+    const profiles = getNetworkProfiles();
+    if (!profiles[name]) {
+        throw new ConfigurationError(`Unknown network "${name}", expected one of: ${Object.keys(profiles).join(', ')}`);
+    }
+    return profiles[name];
+};
+
+const assertProfileChainId = function (name, profile, chainId) {
+    if (profile.chainId !== chainId) {
+        throw new ConfigurationError(`Network "${name}" expects chain id "${profile.chainId}", but connected to chain "${chainId}"`);
+    }
+};
+
+export const getBroadcastDirs = function () {
+    return [
+        process.env.BROADCAST_DIR,
+        join(process.cwd(), 'broadcast'),
+        join(__dirname, '..', '..', 'broadcast'),
+    ].filter(Boolean);
+};
+
+// Finds address of the contract deployed by the `forge script script/Deploy.s.sol --broadcast`
+export const findBroadcastedAddress = function (chainId, contractName, broadcastDirs = getBroadcastDirs()) {
+    for (const broadcastDir of broadcastDirs) {
+        const runPath = join(broadcastDir, 'Deploy.s.sol', chainId.toString(), 'run-latest.json');
+        if (!fs.existsSync(runPath)) {
+            continue;
+        }
+        const { transactions } = JSON.parse(fs.readFileSync(runPath));
+        const deployment = transactions.find(t => t.transactionType === 'CREATE' && t.contractName === contractName);
+        if (deployment) {
+            return ethers.utils.getAddress(deployment.contractAddress);
+        }
+    }
+};
+
+// Finds block of the contract deployment in the receipts of the `forge script script/Deploy.s.sol --broadcast`
+export const findBroadcastedDeploymentBlock = function (chainId, address, broadcastDirs = getBroadcastDirs()) {
+    for (const broadcastDir of broadcastDirs) {
+        const runPath = join(broadcastDir, 'Deploy.s.sol', chainId.toString(), 'run-latest.json');
+        if (!fs.existsSync(runPath)) {
+            continue;
+        }
+        const { receipts = [] } = JSON.parse(fs.readFileSync(runPath));
+        const receipt = receipts.find(receipt => receipt.contractAddress?.toLowerCase() === address.toLowerCase());
+        if (receipt) {
+            return ethers.BigNumber.from(receipt.blockNumber).toNumber();
+        }
+    }
+};
 
 export const getConfig = async function (signerOrProvider) {
-    const networkData = await signerOrProvider.getNetwork();
-    const config = JSON.parse(fs.readFileSync(configPath));
-    if (!config[networkData.chainId]) {
-        throw new Error(`Unsupported chain id "${networkData.chainId}"`);
+    const { chainId } = await signerOrProvider.getNetwork();
+    // Options of the programmatic client take precedence over the global CLI options and env variables
+    const context = getProviderContext(signerOrProvider);
+    const selectedNetwork = context ? context.network : getSelectedNetwork();
+    const profiles = getNetworkProfiles();
+    const [name, profile] = selectedNetwork
+        ? [selectedNetwork, getNetworkProfile(selectedNetwork)]
+        : Object.entries(profiles).find(([, profile]) => profile.chainId === chainId) || [];
+    if (profile) {
+        assertProfileChainId(name, profile, chainId);
+    }
+    const spellAttesterAddress = validateSpellAttesterAddress(context ? context.spellAttesterAddress : getSpellAttesterOverride())
+        || profile?.spellAttesterAddress
+        || findBroadcastedAddress(chainId, 'SpellAttester');
+    if (!profile && !spellAttesterAddress) {
+        throw new ConfigurationError(`Unsupported chain id "${chainId}", please provide --network profile or --spell-attester address`);
+    }
+    return { name, ...profile, spellAttesterAddress, chainId };
+};
+
+// `Rely` of the deployer is emitted by the SpellAttester constructor, so its logs have to be read from the deployment block
+// even if `startBlock` of the profile is set later
+export const getSpellAttesterDeploymentBlock = async function (signerOrProvider) {
+    const config = await getConfig(signerOrProvider);
+    const deploymentBlock = config.spellAttesterAddress ? findBroadcastedDeploymentBlock(config.chainId, config.spellAttesterAddress) : undefined;
+    return Math.min(deploymentBlock ?? Infinity, config.startBlock ?? 0);
+};
+
+const getRpcUrl = function (name) {
+    const envKey = `${name.toUpperCase().replace(/\W/g, '_')}_RPC_URL`;
+    const rpcUrl = process.env[envKey] || getNetworkProfile(name).rpcUrl;
+    if (!rpcUrl) {
+        throw new ConfigurationError(`Please provide ${envKey} env variable or "rpcUrl" in the "${name}" network profile`);
     }
-    return { ...config[networkData.chainId], chainId: networkData.chainId };
+    return rpcUrl;
 };
 
-export const getProvider = async function () {
-    const RPC_URL = process.env.RPC_URL || DEFAULT_RPC_URL;
+export const getProviderByRpcUrl = async function (rpcUrl) {
     const provider = new ethers.providers.JsonRpcProvider({
-        url: RPC_URL,
+        url: rpcUrl,
         timeout: 1000,
     });
     try {
         await provider.getNetwork();
     } catch (error) {
-        throw new Error(`Either no connection, or RPC_URL ("${RPC_URL}") is incorrect: ${error.reason}`);
+        throw new ConfigurationError(`Either no connection, or RPC_URL ("${rpcUrl}") is incorrect: ${error.reason}`);
     }
     return provider;
 };
 
-export const getSigner = function (provider) {
-    if (!process.env.PRIVATE_KEY) {
-        throw new Error('Please provide PRIVATE_KEY env variable to be able to submit transactions');
+export const getProvider = async function (network = getSelectedNetwork()) {
+    if (!network) {
+        return await getProviderByRpcUrl(process.env.RPC_URL || getRpcUrl(DEFAULT_NETWORK));
     }
-    return new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    const provider = await getProviderByRpcUrl(getRpcUrl(network));
+    // Ensures the RPC is connected to the chain of the requested profile
+    const { chainId } = await provider.getNetwork();
+    assertProfileChainId(network, getNetworkProfile(network), chainId);
+    return provider;
+};
+
+// Creates signer configured via SIGNER_TYPE and related env variables
+export const getEnvSigner = async function (provider) {
+    const signerType = process.env.SIGNER_TYPE || 'private-key';
+    if (signerType === 'private-key') {
+        if (!process.env.PRIVATE_KEY) {
+            throw new ConfigurationError('Please provide PRIVATE_KEY env variable to be able to submit transactions');
+        }
+        return new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    }
+    if (signerType === 'keystore') {
+        if (!process.env.KEYSTORE_PATH) {
+            throw new ConfigurationError('Please provide KEYSTORE_PATH env variable to use "keystore" signer');
+        }
+        const wallet = await getKeystoreWallet(process.env.KEYSTORE_PATH, process.env.KEYSTORE_PASSWORD);
+        return wallet.connect(provider);
+    }
+    if (signerType === 'mnemonic') {
+        if (!process.env.MNEMONIC) {
+            throw new ConfigurationError('Please provide MNEMONIC env variable to use "mnemonic" signer');
+        }
+        return getMnemonicWallet(process.env.MNEMONIC, process.env.DERIVATION_PATH).connect(provider);
+    }
+    if (signerType === 'rpc') {
+        if (!process.env.SIGNER_RPC_URL) {
+            throw new ConfigurationError('Please provide SIGNER_RPC_URL env variable to use "rpc" signer');
+        }
+        return new RpcSigner(process.env.SIGNER_RPC_URL, process.env.SIGNER_ADDRESS, provider);
+    }
+    throw new ConfigurationError(`Unknown SIGNER_TYPE "${signerType}", expected one of: ${SIGNER_TYPES.join(', ')}`);
+};
+
+export const getSigner = async function (provider) {
+    const context = getProviderContext(provider);
+    if (!context) {
+        return await getEnvSigner(provider);
+    }
+    // Client signer can be provided lazily, e.g. to only decrypt the keystore when a transaction is made
+    const signer = typeof context.signer === 'function' ? await context.signer() : context.signer;
+    if (!signer) {
+        throw new ConfigurationError('Please provide `signer` to the client to be able to submit transactions');
+    }
+    return signer.provider ? signer : signer.connect(provider);
 };
 
 export const getDateFromBlockNumber = async function (provider, blockNumber) {
     const block = await provider.getBlock(blockNumber);
     if (!block?.timestamp) {
-        throw new Error('Received incorrect timestamp value');
+        throw new ConfigurationError(`Block ${blockNumber} has incorrect timestamp value`);
     }
     return new Date(block.timestamp * 1000);
 };
+
+// Fetches every block only once, even if it is requested for multiple events
+export const getDatesFromBlockNumbers = async function (provider, blockNumbers) {
+    const uniqueBlockNumbers = [...new Set(blockNumbers)];
+    const dates = await mapWithConcurrency(uniqueBlockNumbers, blockNumber => withRetries(() => getDateFromBlockNumber(provider, blockNumber)));
+    const blockNumberToDate = new Map(uniqueBlockNumbers.map((blockNumber, index) => [blockNumber, dates[index]]));
+    return blockNumbers.map(blockNumber => blockNumberToDate.get(blockNumber));
+};
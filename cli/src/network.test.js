@@ -0,0 +1,78 @@
+import process from 'node:process';
+import fs from 'node:fs';
+import { join } from 'node:path';
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { after, describe, it } from 'mocha';
+import { findBroadcastedAddress, findBroadcastedDeploymentBlock, getConfig, getNetworkProfiles, saveNetworkProfile, setNetworkOptions } from './network.js';
+import { useTemporaryPaths } from './test-helpers.js';
+
+chai.use(chaiAsPromised);
+
+const getFakeProvider = function (chainId) {
+    return { getNetwork: async () => ({ chainId }) };
+};
+
+describe('Network profiles', () => {
+    const getTemporaryPath = useTemporaryPaths();
+
+    after(() => {
+        setNetworkOptions({});
+    });
+
+    it('Should merge user-defined profiles with the bundled ones', () => {
+        const path = getTemporaryPath('networks.json');
+        fs.writeFileSync(path, JSON.stringify({
+            sepolia: { rpcUrl: 'http://127.0.0.1:8546' },
+            fork: { chainId: 1, rpcUrl: 'http://127.0.0.1:8547' },
+        }));
+        const profiles = getNetworkProfiles(path);
+        expect(profiles.sepolia.rpcUrl).to.equal('http://127.0.0.1:8546');
+        expect(profiles.sepolia.easScannerUrl).to.equal('https://sepolia.easscan.org/');
+        expect(profiles.fork.chainId).to.equal(1);
+        expect(profiles.mainnet.chainId).to.equal(1);
+    });
+
+    it('Should save user-defined profile without changing the bundled ones', () => {
+        const path = getTemporaryPath('config/networks.json');
+        const spellAttesterAddress = '0x0000000000000000000000000000000000000001';
+        saveNetworkProfile('local', { chainId: 31337, spellAttesterAddress, startBlock: 3 }, path);
+        saveNetworkProfile('devnet', { chainId: 1337 }, path);
+        expect(JSON.parse(fs.readFileSync(path))).to.deep.equal({
+            local: { chainId: 31337, spellAttesterAddress, startBlock: 3 },
+            devnet: { chainId: 1337 },
+        });
+        const profiles = getNetworkProfiles(path);
+        expect(profiles.local).to.deep.equal({ chainId: 31337, rpcUrl: 'http://127.0.0.1:8545', spellAttesterAddress, startBlock: 3 });
+        expect(() => saveNetworkProfile('sepolia', { chainId: 31337 }, path)).to.throw('Network "sepolia" expects chain id "11155111"');
+    });
+
+    it('Should discover SpellAttester address from the broadcast files', () => {
+        const broadcastDir = join(process.cwd(), '..', 'broadcast');
+        const address = findBroadcastedAddress(11155111, 'SpellAttester', [broadcastDir]);
+        expect(address).to.equal('0x7CbB13D6597FaFB0c36B7B9296662fad78CC3f82');
+        expect(findBroadcastedAddress(31337, 'SpellAttester', [broadcastDir])).to.equal(undefined);
+        expect(findBroadcastedDeploymentBlock(11155111, address, [broadcastDir])).to.equal(6226814);
+    });
+
+    it('Should select config by chain id or network name', async () => {
+        const config = await getConfig(getFakeProvider(11155111));
+        expect(config.name).to.equal('sepolia');
+        expect(config.spellAttesterAddress).to.equal('0x7cbb13d6597fafb0c36b7b9296662fad78cc3f82');
+
+        setNetworkOptions({ network: 'mainnet' });
+        await expect(getConfig(getFakeProvider(11155111))).to.be.rejectedWith('Network "mainnet" expects chain id "1"');
+    });
+
+    it('Should override SpellAttester address', async () => {
+        const spellAttesterAddress = '0x0000000000000000000000000000000000000001';
+        setNetworkOptions({ network: 'local', spellAttesterAddress });
+        const config = await getConfig(getFakeProvider(31337));
+        expect(config.spellAttesterAddress).to.equal(spellAttesterAddress);
+
+        setNetworkOptions({});
+        await expect(getConfig(getFakeProvider(5))).to.be.rejectedWith('Unsupported chain id "5"');
+        setNetworkOptions({ spellAttesterAddress });
+        expect((await getConfig(getFakeProvider(5))).spellAttesterAddress).to.equal(spellAttesterAddress);
+    });
+});
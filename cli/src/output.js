@@ -0,0 +1,134 @@
+import { Console } from 'node:console';
+import process from 'node:process';
+import ethers from 'ethers';
+import { formatAttestationEvent } from './helpers.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+export const redirectProgressOutput = function (format) {
+    if (format === 'table') {
+        return;
+    }
+    // Keep stdout clean for machine-readable output, progress messages are still visible in the terminal
+    console.info = (...args) => console.error(...args);
+};
+
+// Prints table meant for the member (not the result), keeping stdout clean for machine-readable output
+export const printProgressTable = function (format, rows) {
+    if (format === 'table') {
+        console.table(rows);
+        return;
+    }
+    new Console(process.stderr).table(rows);
+};
+
+export const toPlainValue = function (value) {
+    if (ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlainValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainValue(item)]));
+    }
+    return value;
+};
+
+export const serializeAttestationEvent = function (event) {
+    const revocationTime = ethers.BigNumber.from(event.attestation.revocationTime);
+    return toPlainValue({
+        type: event.type,
+        date: event.date,
+        attester: event.attester,
+        attestationId: event.attestation.uid,
+        schemaId: event.attestation.schema,
+        data: event.attestation.data,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        isRevoked: !revocationTime.isZero(),
+        revocationTime,
+        url: event.url,
+    });
+};
+
+const flatten = function (object, prefix = '') {
+    const flatObject = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (Array.isArray(value)) {
+            flatObject[`${prefix}${key}`] = JSON.stringify(value);
+        } else if (value && typeof value === 'object') {
+            Object.assign(flatObject, flatten(value, `${prefix}${key}.`));
+        } else {
+            flatObject[`${prefix}${key}`] = value;
+        }
+    }
+    return flatObject;
+};
+
+const escapeCsvValue = function (value) {
+    const string = value === undefined || value === null ? '' : String(value);
+    if (/[",\n\r]/.test(string)) {
+        return `"${string.replace(/"/g, '""')}"`;
+    }
+    return string;
+};
+
+const toCsvLine = function (values) {
+    return `${values.map(escapeCsvValue).join(',')}\n`;
+};
+
+export const toCsv = function (rows) {
+    const flatRows = rows.map(row => flatten(toPlainValue(row)));
+    const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+    return [
+        toCsvLine(columns),
+        ...flatRows.map(row => toCsvLine(columns.map(column => row[column]))),
+    ].join('');
+};
+
+export const printResult = function (format, result) {
+    if (format === 'json') {
+        process.stdout.write(`${JSON.stringify(toPlainValue(result), null, 2)}\n`);
+    }
+    if (format === 'csv') {
+        process.stdout.write(toCsv(Array.isArray(result) ? result : [result]));
+    }
+};
+
+export const printEvents = function (format, events) {
+    if (format === 'table') {
+        if (events.length) {
+            console.table(events.map(formatAttestationEvent));
+        }
+        return;
+    }
+    printResult(format, events.map(serializeAttestationEvent));
+};
+
+// Returns function printing events one by one as they arrive: `json` is written as one object per line (NDJSON)
+// and `csv` header is only written once. Data fields differ between schemas, so in `csv` they are kept in a single
+// JSON encoded `data` column to have the same columns in every row
+export const createEventPrinter = function (format) {
+    let isHeaderPrinted = false;
+    return function (event) {
+        if (format === 'table') {
+            printEvents(format, [event]);
+            return;
+        }
+        const row = toPlainValue(serializeAttestationEvent(event));
+        if (format === 'json') {
+            process.stdout.write(`${JSON.stringify(row)}\n`);
+            return;
+        }
+        const flatRow = flatten({ ...row, data: JSON.stringify(row.data) });
+        if (!isHeaderPrinted) {
+            process.stdout.write(toCsvLine(Object.keys(flatRow)));
+            isHeaderPrinted = true;
+        }
+        process.stdout.write(toCsvLine(Object.values(flatRow)));
+    };
+};
@@ -0,0 +1,76 @@
+import process from 'node:process';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import ethers from 'ethers';
+import { createEventPrinter, serializeAttestationEvent, toCsv } from './output.js';
+
+describe('Output formats', () => {
+    const event = {
+        type: 'Attested spell',
+        date: new Date('2024-06-27T00:00:00.000Z'),
+        attester: '0xB0EA9D686c474630b63FfCD7dFD6b20b9A2f6169',
+        blockNumber: 6227838,
+        transactionHash: '0x1234',
+        url: 'https://sepolia.easscan.org/attestation/view/0xabcd',
+        attestation: {
+            uid: '0xabcd',
+            schema: '0x1b78',
+            revocationTime: ethers.BigNumber.from(0),
+            data: {
+                payloadId: '2024-06-27',
+                crafter: 'alice',
+                reviewerA: 'bob',
+                reviewerB: 'charlie, "the second"',
+            },
+        },
+    };
+
+    it('Should serialize attestation event', () => {
+        expect(serializeAttestationEvent(event)).to.deep.equal({
+            type: 'Attested spell',
+            date: '2024-06-27T00:00:00.000Z',
+            attester: event.attester,
+            attestationId: '0xabcd',
+            schemaId: '0x1b78',
+            data: event.attestation.data,
+            blockNumber: 6227838,
+            transactionHash: '0x1234',
+            isRevoked: false,
+            revocationTime: '0',
+            url: event.url,
+        });
+    });
+
+    it('Should convert nested objects to csv', () => {
+        const csv = toCsv([serializeAttestationEvent(event)]);
+        const [header, row] = csv.trim().split('\n');
+        expect(header).to.equal('type,date,attester,attestationId,schemaId,data.payloadId,data.crafter,data.reviewerA,data.reviewerB,blockNumber,transactionHash,isRevoked,revocationTime,url');
+        expect(row).to.contain.string('2024-06-27,alice,bob,"charlie, ""the second""",6227838');
+    });
+
+    it('Should print streamed events line by line', () => {
+        const deploymentEvent = { ...event, attestation: { ...event.attestation, data: { payloadId: '2024-06-27', payloadAddress: '0x01' } } };
+        const print = function (format) {
+            const printEvent = createEventPrinter(format);
+            const write = process.stdout.write;
+            let output = '';
+            process.stdout.write = (chunk) => {
+                output += chunk;
+                return true;
+            };
+            try {
+                printEvent(event);
+                printEvent(deploymentEvent);
+            } finally {
+                process.stdout.write = write;
+            }
+            return output.trim().split('\n');
+        };
+        const jsonLines = print('json');
+        expect(jsonLines.map(line => JSON.parse(line))).to.deep.equal([serializeAttestationEvent(event), serializeAttestationEvent(deploymentEvent)]);
+        const [header, ...rows] = print('csv');
+        expect(header).to.equal('type,date,attester,attestationId,schemaId,data,blockNumber,transactionHash,isRevoked,revocationTime,url');
+        expect(rows).to.have.length(2);
+        expect(rows[1]).to.contain.string('"{""payloadId"":""2024-06-27"",""payloadAddress"":""0x01""}"');
+    });
+});
@@ -0,0 +1,91 @@
+import fs from 'node:fs';
+import ethers from 'ethers';
+import { getCrafterDeployment } from './attestations.js';
+import { InvalidInputError } from './errors.js';
+
+export const CROSSCHAIN_EXIT_CODES = { match: 0, mismatch: 2 };
+
+export const getPayloadCodeHash = async function (provider, payloadAddress) {
+    const code = await provider.getCode(payloadAddress);
+    if (code === '0x') {
+        return undefined;
+    }
+    return ethers.utils.keccak256(code);
+};
+
+const readArtifactBytecode = function (content) {
+    try {
+        // Both forge (`deployedBytecode.object`) and hardhat (`deployedBytecode`) artifacts are supported
+        const artifact = JSON.parse(content);
+        return artifact?.deployedBytecode?.object ?? artifact?.deployedBytecode;
+    } catch {
+        // Otherwise expect a file with plain hex bytecode
+        return content.trim();
+    }
+};
+
+export const getArtifactCodeHash = function (path) {
+    const bytecode = readArtifactBytecode(fs.readFileSync(path, 'utf-8'));
+    const hexBytecode = bytecode?.startsWith('0x') ? bytecode : `0x${bytecode}`;
+    if (!ethers.utils.isHexString(hexBytecode) || hexBytecode === '0x') {
+        throw new InvalidInputError(`File "${path}" does not contain deployed bytecode`);
+    }
+    return ethers.utils.keccak256(hexBytecode);
+};
+
+export const getPayloadHashes = async function (provider, { payloadId, payloadAddress, payloadHash, payloadArtifact }) {
+    const hashes = [];
+    if (payloadHash) {
+        hashes.push({ source: 'provided', hash: payloadHash });
+    }
+    const codeHash = await getPayloadCodeHash(provider, payloadAddress);
+    if (codeHash) {
+        hashes.push({ source: 'on-chain code', hash: codeHash, isLocal: true });
+    }
+    if (payloadArtifact) {
+        hashes.push({ source: `artifact "${payloadArtifact}"`, hash: getArtifactCodeHash(payloadArtifact), isLocal: true });
+    }
+    const crafterDeployment = await getCrafterDeployment(provider, payloadId);
+    if (crafterDeployment?.payloadHash) {
+        hashes.push({ source: `crafter "${crafterDeployment.crafter}"`, hash: crafterDeployment.payloadHash });
+    }
+    return hashes;
+};
+
+export const verifyPayloadHashes = function (hashes) {
+    if (!hashes.some(({ isLocal }) => isLocal)) {
+        throw new InvalidInputError('Payload hash can not be computed locally: no code found at the payload address and no artifact provided');
+    }
+    const uniqueHashes = new Set(hashes.map(({ hash }) => hash.toLowerCase()));
+    if (uniqueHashes.size !== 1) {
+        throw new InvalidInputError(`Payload hashes do not match, refusing to submit: ${hashes.map(({ source, hash }) => `${source}: ${hash}`).join(', ')}`);
+    }
+    return hashes.find(({ isLocal }) => isLocal).hash;
+};
+
+// Compares the hash attested by the crafter with the code found under the same address on other chains
+export const verifyCrossChainPayload = async function (provider, payloadId, targets) {
+    const crafterDeployment = await getCrafterDeployment(provider, payloadId);
+    if (!crafterDeployment) {
+        throw new InvalidInputError(`Spell "${payloadId}" is not attested`);
+    }
+    const { crafter, payloadAddress, payloadHash } = crafterDeployment;
+    if (!payloadAddress) {
+        throw new InvalidInputError(`The crafter "${crafter}" did not yet attest the deployment of "${payloadId}"`);
+    }
+    const results = [];
+    for (const target of targets) {
+        const { chainId } = await target.provider.getNetwork();
+        const codeHash = await getPayloadCodeHash(target.provider, payloadAddress);
+        const isMatching = !!codeHash && codeHash.toLowerCase() === payloadHash.toLowerCase();
+        results.push({
+            network: target.name,
+            chainId,
+            payloadAddress,
+            attestedPayloadHash: payloadHash,
+            codeHash,
+            status: !codeHash ? 'no code' : isMatching ? 'match' : 'mismatch',
+        });
+    }
+    return results;
+};
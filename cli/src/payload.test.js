@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import ethers from 'ethers';
+import { getArtifactCodeHash, verifyPayloadHashes } from './payload.js';
+import { useTemporaryPaths } from './test-helpers.js';
+
+describe('Payload hash', () => {
+    const getTemporaryPath = useTemporaryPaths();
+
+    const bytecode = '0x6080604052348015600f57600080fd5b50';
+    const codeHash = ethers.utils.keccak256(bytecode);
+    const writeFile = (content) => {
+        const path = getTemporaryPath('artifact');
+        fs.writeFileSync(path, content);
+        return path;
+    };
+
+    it('Should compute hash from forge artifact', () => {
+        const path = writeFile(JSON.stringify({ deployedBytecode: { object: bytecode } }));
+        expect(getArtifactCodeHash(path)).to.equal(codeHash);
+    });
+
+    it('Should compute hash from hardhat artifact', () => {
+        const path = writeFile(JSON.stringify({ deployedBytecode: bytecode }));
+        expect(getArtifactCodeHash(path)).to.equal(codeHash);
+    });
+
+    it('Should compute hash from plain bytecode', () => {
+        const path = writeFile(`${bytecode.slice(2)}\n`);
+        expect(getArtifactCodeHash(path)).to.equal(codeHash);
+    });
+
+    it('Should throw on artifact without bytecode', () => {
+        const path = writeFile(JSON.stringify({ abi: [] }));
+        expect(() => getArtifactCodeHash(path)).to.throw('does not contain deployed bytecode');
+    });
+
+    it('Should return locally computed hash if all hashes match', () => {
+        const hashes = [
+            { source: 'provided', hash: codeHash.toUpperCase().replace('0X', '0x') },
+            { source: 'on-chain code', hash: codeHash, isLocal: true },
+            { source: 'crafter "alice"', hash: codeHash },
+        ];
+        expect(verifyPayloadHashes(hashes)).to.equal(codeHash);
+    });
+
+    it('Should refuse mismatching hashes', () => {
+        const hashes = [
+            { source: 'on-chain code', hash: codeHash, isLocal: true },
+            { source: 'crafter "alice"', hash: ethers.constants.HashZero },
+        ];
+        expect(() => verifyPayloadHashes(hashes)).to.throw('Payload hashes do not match');
+    });
+
+    it('Should refuse hashes that are not computed locally', () => {
+        const hashes = [
+            { source: 'provided', hash: codeHash },
+        ];
+        expect(() => verifyPayloadHashes(hashes)).to.throw('can not be computed locally');
+    });
+});
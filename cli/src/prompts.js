@@ -0,0 +1,38 @@
+import process from 'node:process';
+import readline from 'node:readline/promises';
+import { ConfigurationError } from './errors.js';
+
+// Prompts are written to stderr, so that stdout only contains the results
+const write = function (message) {
+    process.stderr.write(`${message}\n`);
+};
+
+export const ask = async function (question, defaultValue) {
+    if (!process.stdin.isTTY) {
+        throw new ConfigurationError('Interactive mode requires a terminal, please use regular commands instead');
+    }
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try {
+        const answer = await prompt.question(defaultValue ? `${question} [${defaultValue}]: ` : `${question}: `);
+        return answer.trim() || defaultValue || '';
+    } finally {
+        prompt.close();
+    }
+};
+
+export const choose = async function (question, choices) {
+    choices.forEach(({ label }, index) => write(`  ${index + 1}) ${label}`));
+    while (true) {
+        const answer = await ask(question, choices.length === 1 ? '1' : undefined);
+        const choice = choices[Number(answer) - 1];
+        if (choice) {
+            return choice.value;
+        }
+        write(`Please enter a number from 1 to ${choices.length}`);
+    }
+};
+
+export const confirm = async function (question) {
+    const answer = await ask(`${question} (y/N)`);
+    return ['y', 'yes'].includes(answer.toLowerCase());
+};
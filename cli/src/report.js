@@ -0,0 +1,191 @@
+import fs from 'node:fs';
+import ethers from 'ethers';
+import { getDeploymentEvents, getIdentityEvents, getSpellEvents } from './attestations.js';
+import { getSpellAttesterContract } from './contracts.js';
+import { InvalidInputError, decodeRevertReason } from './errors.js';
+import { SPELL_ROLES } from './identities.js';
+import { prettify } from './helpers.js';
+import { getConfig } from './network.js';
+import { toPlainValue } from './output.js';
+
+// Revocations are only taken from the events up to the report block, so that older reports can be reproduced
+const toReportRecords = function (events) {
+    const records = new Map();
+    for (const event of events) {
+        const record = records.get(event.attestation.uid) ?? { attestationId: event.attestation.uid, data: event.attestation.data };
+        if (event.type.startsWith('Revoked')) {
+            record.revokedAt = event.date;
+            record.revocationTransactionHash = event.transactionHash;
+        } else {
+            record.attester = event.attester;
+            record.attestedAt = event.date;
+            record.transactionHash = event.transactionHash;
+        }
+        records.set(event.attestation.uid, record);
+    }
+    return [...records.values()]
+        .filter(record => !!record.attestedAt)
+        .map(record => ({ ...record, isActive: !record.revokedAt }))
+        .sort((a, b) => a.attestedAt.getTime() - b.attestedAt.getTime());
+};
+
+export const getSpellOutcome = async function (provider, payloadId, blockNumber) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    try {
+        const address = await spellAttester.getSpellAddressByPayloadId(payloadId, { blockTag: blockNumber });
+        return { isVerified: true, address };
+    } catch (error) {
+        const reason = decodeRevertReason(error)?.reason ?? error.reason;
+        // Revert without a reason happens when a schema points to an unexpected contract
+        if (!reason && error.code !== 'CALL_EXCEPTION') {
+            throw error;
+        }
+        return { isVerified: false, reason: reason ?? 'reverted without a reason' };
+    }
+};
+
+// Keys are sorted, so that the digest does not depend on the order of the properties
+const canonicalize = function (value) {
+    if (Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+    }
+    return value;
+};
+
+export const getReportDigest = function (report) {
+    const { digest, ...content } = report;
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(canonicalize(toPlainValue(content)))));
+};
+
+// Only contains on-chain data up to the given block, so anyone can re-create the same report and digest
+export const getSpellReport = async function (provider, payloadId, { blockNumber } = {}) {
+    const config = await getConfig(provider);
+    blockNumber = blockNumber ?? await provider.getBlockNumber();
+    const blockRange = { toBlock: blockNumber };
+    const spells = toReportRecords(await getSpellEvents(provider, { payloadId, ...blockRange }));
+    if (!spells.length) {
+        throw new InvalidInputError(`Spell "${payloadId}" is not attested at block ${blockNumber}`);
+    }
+    const spell = spells.findLast(({ isActive }) => isActive) ?? spells.at(-1);
+    const identities = toReportRecords(await getIdentityEvents(provider, {
+        userPseudonym: SPELL_ROLES.map(role => spell.data[role]),
+        ...blockRange,
+    }));
+    const getPseudonym = address => identities.find(({ data }) => data.userAddress.toLowerCase() === address.toLowerCase())?.data.userPseudonym;
+    const deployments = toReportRecords(await getDeploymentEvents(provider, { payloadId, ...blockRange }))
+        .map(({ data, ...deployment }) => ({
+            ...deployment,
+            pseudonym: getPseudonym(deployment.attester),
+            payloadAddress: data.payloadAddress,
+            payloadHash: data.payloadHash,
+        }));
+    const toRevocations = (schemaName, records) => records
+        .filter(({ revokedAt }) => !!revokedAt)
+        .map(({ attestationId, attester, revokedAt, revocationTransactionHash }) => ({ schemaName, attestationId, revoker: attester, revokedAt, transactionHash: revocationTransactionHash }));
+    const report = {
+        payloadId,
+        chainId: config.chainId,
+        spellAttesterAddress: ethers.utils.getAddress(config.spellAttesterAddress),
+        blockNumber,
+        outcome: await getSpellOutcome(provider, payloadId, blockNumber),
+        spells: spells.map(({ data, ...spell }) => ({ ...spell, crafter: data.crafter, reviewerA: data.reviewerA, reviewerB: data.reviewerB })),
+        members: SPELL_ROLES.map(role => ({
+            role,
+            pseudonym: spell.data[role],
+            identities: identities
+                .filter(({ data }) => data.userPseudonym === spell.data[role])
+                .map(({ data, ...identity }) => ({ ...identity, teamName: data.teamName, userAddress: data.userAddress })),
+        })),
+        deployments,
+        revocations: [
+            ...toRevocations('spell', spells),
+            ...toRevocations('identity', identities),
+            ...toRevocations('deployment', deployments),
+        ].sort((a, b) => a.revokedAt.getTime() - b.revokedAt.getTime()),
+    };
+    return toPlainValue(report);
+};
+
+export const addReportDigest = function (report) {
+    return { ...report, digest: getReportDigest(report) };
+};
+
+const formatTable = function (header, rows) {
+    if (!rows.length) {
+        return '_None_\n';
+    }
+    const formatRow = values => `| ${values.map(value => String(value ?? '').replaceAll('|', '\\|')).join(' | ')} |`;
+    return `${[formatRow(header), formatRow(header.map(() => '---')), ...rows.map(formatRow)].join('\n')}\n`;
+};
+
+export const formatReportMarkdown = function (report) {
+    const { outcome } = report;
+    const sections = [
+        `# Spell "${report.payloadId}" attestation report\n`,
+        `Chain id ${report.chainId}, SpellAttester \`${report.spellAttesterAddress}\`, block ${report.blockNumber}.\n`,
+        outcome.isVerified
+            ? `**Outcome:** spell is deployed and reviewed at \`${outcome.address}\`.\n`
+            : `**Outcome:** spell is not verified: \`${outcome.reason}\`.\n`,
+        '## Spell attestations\n',
+        formatTable(
+            ['Attestation', 'Crafter', 'Reviewer A', 'Reviewer B', 'Attester', 'Attested at', 'Transaction', 'Revoked at'],
+            report.spells.map(spell => [spell.attestationId, spell.crafter, spell.reviewerA, spell.reviewerB, spell.attester, spell.attestedAt, spell.transactionHash, spell.revokedAt]),
+        ),
+        '## Members\n',
+        formatTable(
+            ['Role', 'Pseudonym', 'Team', 'Address', 'Identity attestation', 'Attested at', 'Transaction', 'Revoked at'],
+            report.members.flatMap(member => member.identities.length
+                ? member.identities.map(identity => [member.role, member.pseudonym, identity.teamName, identity.userAddress, identity.attestationId, identity.attestedAt, identity.transactionHash, identity.revokedAt])
+                : [[member.role, member.pseudonym, '', '', '', '', '', '']]),
+        ),
+        '## Deployments\n',
+        formatTable(
+            ['Pseudonym', 'Attester', 'Payload address', 'Payload hash', 'Attestation', 'Attested at', 'Transaction', 'Revoked at'],
+            report.deployments.map(deployment => [deployment.pseudonym, deployment.attester, deployment.payloadAddress, deployment.payloadHash, deployment.attestationId, deployment.attestedAt, deployment.transactionHash, deployment.revokedAt]),
+        ),
+        '## Revocations\n',
+        formatTable(
+            ['Schema', 'Attestation', 'Revoker', 'Revoked at', 'Transaction'],
+            report.revocations.map(revocation => [revocation.schemaName, revocation.attestationId, revocation.revoker, revocation.revokedAt, revocation.transactionHash]),
+        ),
+    ];
+    if (report.digest) {
+        sections.push(
+            '## Digest\n',
+            `\`${report.digest}\`\n`,
+            `Reproduce with \`npx spell-attester report ${report.payloadId} --block ${report.blockNumber} --digest\` connected to chain ${report.chainId}.\n`,
+        );
+    }
+    return sections.join('\n');
+};
+
+// Flat list of all attestations of the report, for formats that can not represent nested data
+export const toReportRows = function (report) {
+    const toRow = (schemaName, pseudonym, record) => ({
+        schemaName,
+        pseudonym,
+        attestationId: record.attestationId,
+        attester: record.attester,
+        attestedAt: record.attestedAt,
+        transactionHash: record.transactionHash,
+        revokedAt: record.revokedAt,
+        revocationTransactionHash: record.revocationTransactionHash,
+    });
+    return [
+        ...report.spells.map(spell => toRow('spell', spell.crafter, spell)),
+        ...report.members.flatMap(member => member.identities.map(identity => toRow('identity', member.pseudonym, identity))),
+        ...report.deployments.map(deployment => toRow('deployment', deployment.pseudonym, deployment)),
+    ];
+};
+
+export const saveReport = function (report, { markdownPath, jsonPath }) {
+    if (markdownPath) {
+        fs.writeFileSync(markdownPath, formatReportMarkdown(report));
+    }
+    if (jsonPath) {
+        fs.writeFileSync(jsonPath, `${prettify(report)}\n`);
+    }
+};
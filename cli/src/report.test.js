@@ -0,0 +1,33 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { ERROR_CODES } from './errors.js';
+import { addReportDigest, formatReportMarkdown, getReportDigest } from './report.js';
+
+const report = {
+    payloadId: 'test-payload',
+    chainId: 1,
+    spellAttesterAddress: '0x0000000000000000000000000000000000000001',
+    blockNumber: 100,
+    outcome: { isVerified: false, reason: ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_YET_REVIEWED },
+    spells: [],
+    members: [{ role: 'crafter', pseudonym: 'crafter|one', identities: [] }],
+    deployments: [],
+    revocations: [],
+};
+
+describe('Spell report', () => {
+    it('Should create the same digest regardless of key order', () => {
+        const reorderedReport = Object.fromEntries(Object.entries(report).reverse());
+        expect(getReportDigest(reorderedReport)).to.equal(getReportDigest(report));
+        expect(getReportDigest(addReportDigest(report))).to.equal(getReportDigest(report));
+        expect(getReportDigest({ ...report, blockNumber: 101 })).to.not.equal(getReportDigest(report));
+    });
+
+    it('Should format report as Markdown', () => {
+        const markdown = formatReportMarkdown(addReportDigest(report));
+        expect(markdown).to.include(`spell is not verified: \`${ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_YET_REVIEWED}\``);
+        expect(markdown).to.include('| crafter | crafter\\|one |');
+        expect(markdown).to.include(`\`${getReportDigest(report)}\``);
+        expect(markdown).to.include('report test-payload --block 100 --digest');
+    });
+});
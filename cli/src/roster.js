@@ -0,0 +1,207 @@
+import fs from 'node:fs';
+import { extname } from 'node:path';
+import ethers from 'ethers';
+import YAML from 'yaml';
+import { createMultiAttestation } from './attestations.js';
+import { getResolverContract } from './contracts.js';
+import { hashString } from './helpers.js';
+import { multicall } from './multicall.js';
+import { getSigner } from './network.js';
+import { isAdmin, isValidName } from './rules.js';
+import { ERROR_CODES, InvalidInputError, RuleViolationError } from './errors.js';
+
+export const ROSTER_FORMATS = ['csv', 'json', 'yaml'];
+
+// Used when some identities are imported while others are invalid or conflicting
+export const IMPORT_EXIT_CODES = {
+    imported: 0,
+    partial: 2,
+};
+
+// Both short and full (the same as of the `create-identity` options) column names are accepted
+const COLUMN_NAMES = {
+    address: 'userAddress',
+    useraddress: 'userAddress',
+    pseudonym: 'userPseudonym',
+    userpseudonym: 'userPseudonym',
+    team: 'teamName',
+    teamname: 'teamName',
+};
+
+const parseCsvLines = function (content) {
+    const lines = [];
+    let line = [];
+    let value = '';
+    let isQuoted = false;
+    for (let index = 0; index < content.length; index++) {
+        const char = content[index];
+        if (isQuoted && char === '"' && content[index + 1] === '"') {
+            value += '"';
+            index++;
+        } else if (char === '"') {
+            isQuoted = !isQuoted;
+        } else if (isQuoted || (char !== ',' && char !== '\n' && char !== '\r')) {
+            value += char;
+        } else if (char === ',') {
+            line.push(value);
+            value = '';
+        } else {
+            if (char === '\r' && content[index + 1] === '\n') {
+                index++;
+            }
+            lines.push([...line, value]);
+            line = [];
+            value = '';
+        }
+    }
+    lines.push([...line, value]);
+    return lines.filter(values => values.some(value => value.trim()));
+};
+
+export const parseCsv = function (content) {
+    const [header = [], ...lines] = parseCsvLines(content);
+    return lines.map(values => Object.fromEntries(header.map((column, index) => [column.trim(), values[index]?.trim()])));
+};
+
+const getRosterFormat = function (path) {
+    const extension = extname(path).slice(1).toLowerCase();
+    const format = extension === 'yml' ? 'yaml' : extension;
+    if (!ROSTER_FORMATS.includes(format)) {
+        throw new InvalidInputError(`Unsupported roster file "${path}", expected one of the extensions: ${ROSTER_FORMATS.join(', ')}`);
+    }
+    return format;
+};
+
+const normalizeRecord = function (record, row) {
+    const identity = { row };
+    for (const [key, value] of Object.entries(record ?? {})) {
+        const column = COLUMN_NAMES[key.replace(/[\s_-]/g, '').toLowerCase()];
+        if (column) {
+            identity[column] = value === undefined || value === null ? '' : String(value).trim();
+        }
+    }
+    return identity;
+};
+
+export const readRoster = function (path) {
+    const content = fs.readFileSync(path, 'utf-8');
+    const format = getRosterFormat(path);
+    const records = format === 'csv'
+        ? parseCsv(content)
+        : format === 'json' ? JSON.parse(content) : YAML.parse(content);
+    if (!Array.isArray(records)) {
+        throw new TypeError(`Roster file "${path}" should contain a list of identities`);
+    }
+    return records.map((record, index) => normalizeRecord(record, index + 1));
+};
+
+// Mirrors checks of the IdentityResolver, additionally ensuring uniqueness within the roster
+export const validateRoster = function (identities) {
+    const seenPseudonyms = new Set();
+    const seenAddresses = new Set();
+    return identities.map((identity) => {
+        const errors = [];
+        for (const field of ['userAddress', 'userPseudonym', 'teamName']) {
+            if (!identity[field]) {
+                errors.push(`missing ${field}`);
+            }
+        }
+        if (!isValidName(identity.teamName ?? '')) {
+            errors.push(`team name "${identity.teamName}" can only contain lowercase latin letters or underscores`);
+        }
+        if (!isValidName(identity.userPseudonym ?? '')) {
+            errors.push(`pseudonym "${identity.userPseudonym}" can only contain lowercase latin letters or underscores`);
+        }
+        let userAddress = identity.userAddress;
+        let isValidAddress = false;
+        if (userAddress) {
+            try {
+                userAddress = ethers.utils.getAddress(userAddress);
+                isValidAddress = true;
+            } catch {
+                errors.push(`address "${userAddress}" is invalid or has incorrect checksum`);
+            }
+        }
+        if (identity.userPseudonym && seenPseudonyms.has(identity.userPseudonym)) {
+            errors.push(`pseudonym "${identity.userPseudonym}" is listed more than once`);
+        }
+        if (isValidAddress && seenAddresses.has(userAddress)) {
+            errors.push(`address "${userAddress}" is listed more than once`);
+        }
+        seenPseudonyms.add(identity.userPseudonym);
+        seenAddresses.add(userAddress);
+        return { ...identity, userAddress, errors };
+    });
+};
+
+const getImportStatus = function (identity, teamHash, addressPseudonymHash) {
+    const pseudonymHash = hashString(identity.userPseudonym);
+    const hasPseudonym = teamHash !== ethers.constants.HashZero;
+    const hasAddress = addressPseudonymHash !== ethers.constants.HashZero;
+    if (hasPseudonym && addressPseudonymHash === pseudonymHash && teamHash === hashString(identity.teamName)) {
+        return { status: 'exists', message: 'Identity is already attested' };
+    }
+    if (hasPseudonym) {
+        return { status: 'conflict', message: `Pseudonym "${identity.userPseudonym}" already has a different active identity` };
+    }
+    if (hasAddress) {
+        return { status: 'conflict', message: `Address "${identity.userAddress}" already has an active identity with a different pseudonym` };
+    }
+    return { status: 'missing', message: 'Identity will be attested' };
+};
+
+// Compares the roster with the identities attested on-chain
+export const planIdentityImport = async function (provider, identities) {
+    const validatedIdentities = validateRoster(identities);
+    const validIdentities = validatedIdentities.filter(({ errors }) => !errors.length);
+    const identityResolver = await getResolverContract(provider, 'identity');
+    const reads = await multicall(provider, validIdentities.flatMap(identity => [
+        { contract: identityResolver, method: 'pseudonymHashToTeamHash', args: [hashString(identity.userPseudonym)] },
+        { contract: identityResolver, method: 'addressToPseudonymHash', args: [identity.userAddress] },
+    ]));
+    return validatedIdentities.map(({ errors, ...identity }) => {
+        if (errors.length) {
+            return { ...identity, status: 'invalid', message: errors.join('; ') };
+        }
+        const index = validIdentities.findIndex(({ row }) => row === identity.row);
+        return { ...identity, ...getImportStatus(identity, reads[index * 2], reads[index * 2 + 1]) };
+    });
+};
+
+export const toIdentityOptions = function ({ userAddress, userPseudonym, teamName }) {
+    return { userAddress, userPseudonym, teamName };
+};
+
+export const getFailedIdentities = function (plan) {
+    return plan.filter(({ status }) => ['invalid', 'conflict'].includes(status));
+};
+
+// Roster is expected to be imported as a whole, so the valid identities are only imported alone when explicitly allowed
+export const assertIdentityImportAllowed = function (plan, { allowPartial = false } = {}) {
+    const failedIdentities = getFailedIdentities(plan);
+    if (failedIdentities.length && !allowPartial) {
+        throw new InvalidInputError(`${failedIdentities.length} identities can not be imported, please fix rows ${failedIdentities.map(({ row }) => row).join(', ')} or allow partial import`);
+    }
+};
+
+// Attests all missing identities of the plan in a single `multiAttest` transaction
+export const importIdentities = async function (provider, plan, options, verbose) {
+    const missingIdentities = plan.filter(({ status }) => status === 'missing');
+    if (!missingIdentities.length) {
+        return plan;
+    }
+    assertIdentityImportAllowed(plan, options);
+    const attester = await (await getSigner(provider)).getAddress();
+    if (!await isAdmin(provider, attester)) {
+        const message = `Address "${attester}" is not an admin of the SpellAttester and can not attest identities`;
+        throw new RuleViolationError(message, [{ rule: ERROR_CODES.IDENTITY_RESOLVER_NOT_AUTHORIZED_ATTESTER, message }]);
+    }
+    const results = await createMultiAttestation(provider, 'identity', missingIdentities.map(toIdentityOptions), verbose);
+    return plan.map((identity) => {
+        const index = missingIdentities.indexOf(identity);
+        if (index === -1) {
+            return identity;
+        }
+        return { ...identity, status: 'attested', message: 'Identity is attested', attestationId: results[index].id, url: results[index].url };
+    });
+};
@@ -0,0 +1,56 @@
+import fs from 'node:fs';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { readRoster, validateRoster } from './roster.js';
+import { useTemporaryPaths } from './test-helpers.js';
+
+describe('Identity roster', () => {
+    const getTemporaryPath = useTemporaryPaths();
+    const writeRoster = function (extension, content) {
+        const path = getTemporaryPath(`roster.${extension}`);
+        fs.writeFileSync(path, content);
+        return path;
+    };
+
+    const address = '0xB0EA9D686c474630b63FfCD7dFD6b20b9A2f6169';
+    const expectedIdentities = [
+        { row: 1, userAddress: address, userPseudonym: 'alice', teamName: 'team_a' },
+        { row: 2, userAddress: address.toLowerCase(), userPseudonym: 'bob', teamName: 'team, "b"' },
+    ];
+
+    it('Should read CSV, JSON and YAML rosters', () => {
+        const csvPath = writeRoster('csv', `address,pseudonym,team\n${address},alice,team_a\r\n${address.toLowerCase()},bob,"team, ""b"""\n\n`);
+        expect(readRoster(csvPath)).to.deep.equal(expectedIdentities);
+        const jsonPath = writeRoster('json', JSON.stringify([
+            { userAddress: address, userPseudonym: 'alice', teamName: 'team_a' },
+            { user_address: address.toLowerCase(), user_pseudonym: 'bob', team_name: 'team, "b"' },
+        ]));
+        expect(readRoster(jsonPath)).to.deep.equal(expectedIdentities);
+        const yamlPath = writeRoster('yml', `- address: "${address}"\n  pseudonym: alice\n  team: team_a\n- address: "${address.toLowerCase()}"\n  pseudonym: bob\n  team: 'team, "b"'\n`);
+        expect(readRoster(yamlPath)).to.deep.equal(expectedIdentities);
+        expect(() => readRoster(writeRoster('txt', ''))).to.throw('Unsupported roster file');
+    });
+
+    it('Should validate roster rows', () => {
+        const [alice, bob, charlie, duplicate] = validateRoster([
+            { row: 1, userAddress: address.toLowerCase(), userPseudonym: 'alice', teamName: 'team_a' },
+            { row: 2, userAddress: address.replace('B0EA', 'b0EA'), userPseudonym: 'Bob', teamName: 'team_b' },
+            { row: 3, userAddress: '', userPseudonym: 'charlie', teamName: 'team-c' },
+            { row: 4, userAddress: address, userPseudonym: 'alice', teamName: 'team_a' },
+        ]);
+        expect(alice.errors).to.deep.equal([]);
+        expect(alice.userAddress).to.equal(address);
+        expect(bob.errors).to.deep.equal([
+            'pseudonym "Bob" can only contain lowercase latin letters or underscores',
+            `address "${address.replace('B0EA', 'b0EA')}" is invalid or has incorrect checksum`,
+        ]);
+        expect(charlie.errors).to.deep.equal([
+            'missing userAddress',
+            'team name "team-c" can only contain lowercase latin letters or underscores',
+        ]);
+        expect(duplicate.errors).to.deep.equal([
+            'pseudonym "alice" is listed more than once',
+            `address "${address}" is listed more than once`,
+        ]);
+    });
+});
@@ -0,0 +1,215 @@
+import ethers from 'ethers';
+import { getEasAttesterContract, getResolverContract, getSchemaName, getSpellAttesterContract } from './contracts.js';
+import { hashString } from './helpers.js';
+import { ERROR_CODES, InvalidInputError } from './errors.js';
+
+const EMPTY_PAYLOAD_HASH = ethers.utils.keccak256('0x');
+const UNKNOWN_MEMBER_CODES = {
+    crafter: ERROR_CODES.SPELL_RESOLVER_UNKNOWN_CRAFTER,
+    reviewerA: ERROR_CODES.SPELL_RESOLVER_UNKNOWN_REVIEWER_A,
+    reviewerB: ERROR_CODES.SPELL_RESOLVER_UNKNOWN_REVIEWER_B,
+};
+
+// Mirrors `isValidName` of the IdentityResolver: only lowercase latin letters or underscores
+export const isValidName = function (name) {
+    return /^[a-z_]*$/.test(name);
+};
+
+export const isAdmin = async function (provider, address) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    return (await spellAttester.wards(address)).eq(1);
+};
+
+const isEmpty = function (value) {
+    return value === ethers.constants.HashZero || value === ethers.constants.AddressZero;
+};
+
+export const checkIdentityRules = async function (provider, attester, { teamName, userPseudonym, userAddress }) {
+    const violations = [];
+    const identityResolver = await getResolverContract(provider, 'identity');
+    if (!await isAdmin(provider, attester)) {
+        violations.push({
+            rule: ERROR_CODES.IDENTITY_RESOLVER_NOT_AUTHORIZED_ATTESTER,
+            message: `Address "${attester}" is not an admin of the SpellAttester and can not attest identities`,
+        });
+    }
+    if (!isValidName(teamName)) {
+        violations.push({
+            rule: ERROR_CODES.IDENTITY_RESOLVER_INVALID_TEAM_NAME,
+            message: `Team name "${teamName}" can only contain lowercase latin letters or underscores`,
+        });
+    }
+    if (!isValidName(userPseudonym)) {
+        violations.push({
+            rule: ERROR_CODES.IDENTITY_RESOLVER_INVALID_USER_PSEUDONYM,
+            message: `Pseudonym "${userPseudonym}" can only contain lowercase latin letters or underscores`,
+        });
+    }
+    if (!isEmpty(await identityResolver.pseudonymHashToTeamHash(hashString(userPseudonym)))) {
+        violations.push({
+            rule: ERROR_CODES.IDENTITY_RESOLVER_PSEUDONYM_ALREADY_ATTESTED,
+            message: `Pseudonym "${userPseudonym}" already has an active identity`,
+        });
+    }
+    if (ethers.utils.isAddress(userAddress) && !isEmpty(await identityResolver.addressToPseudonymHash(userAddress))) {
+        violations.push({
+            rule: ERROR_CODES.IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED,
+            message: `Address "${userAddress}" already has an active identity`,
+        });
+    }
+    return violations;
+};
+
+export const checkSpellRules = async function (provider, attester, { payloadId, crafter, reviewerA, reviewerB }) {
+    const violations = [];
+    const spellResolver = await getResolverContract(provider, 'spell');
+    const identityResolver = await getResolverContract(provider, 'identity');
+    if (!await isAdmin(provider, attester)) {
+        violations.push({
+            rule: ERROR_CODES.SPELL_RESOLVER_NOT_AUTHORIZED_ATTESTER,
+            message: `Address "${attester}" is not an admin of the SpellAttester and can not attest spells`,
+        });
+    }
+    if (!isEmpty(await spellResolver.payloadIdHashToAttestationId(hashString(payloadId)))) {
+        violations.push({
+            rule: ERROR_CODES.SPELL_RESOLVER_ALREADY_ATTESTED_PAYLOAD_ID,
+            message: `Spell "${payloadId}" is already attested, it needs to be revoked first`,
+        });
+    }
+    const members = { crafter, reviewerA, reviewerB };
+    const teamHashes = {};
+    for (const [role, pseudonym] of Object.entries(members)) {
+        teamHashes[role] = await identityResolver.pseudonymHashToTeamHash(hashString(pseudonym));
+        if (isEmpty(teamHashes[role])) {
+            violations.push({
+                rule: UNKNOWN_MEMBER_CODES[role],
+                message: `The ${role} "${pseudonym}" does not have an active identity`,
+            });
+        }
+    }
+    if (new Set(Object.values(members)).size !== 3) {
+        violations.push({
+            rule: ERROR_CODES.SPELL_RESOLVER_NON_UNIQUE_SPELL_MEMBERS,
+            message: `Crafter and reviewers must be three different people, got "${crafter}", "${reviewerA}" and "${reviewerB}"`,
+        });
+    }
+    if (!isEmpty(teamHashes.reviewerA) && teamHashes.reviewerA === teamHashes.reviewerB) {
+        violations.push({
+            rule: ERROR_CODES.SPELL_RESOLVER_SAME_TEAM_REVIEWERS,
+            message: `Reviewers "${reviewerA}" and "${reviewerB}" belong to the same team`,
+        });
+    }
+    return violations;
+};
+
+export const checkDeploymentRules = async function (provider, attester, { payloadId, payloadAddress, payloadHash }) {
+    const violations = [];
+    const spellResolver = await getResolverContract(provider, 'spell');
+    const identityResolver = await getResolverContract(provider, 'identity');
+    const deploymentResolver = await getResolverContract(provider, 'deployment');
+    const easAttester = await getEasAttesterContract(provider);
+    const payloadIdHash = hashString(payloadId);
+    if (payloadHash && ethers.utils.hexlify(payloadHash) === EMPTY_PAYLOAD_HASH) {
+        violations.push({
+            rule: ERROR_CODES.DEPLOYMENT_RESOLVER_EMPTY_PAYLOAD_HASH,
+            message: 'Payload hash is a hash of an empty code, please ensure the payload is deployed',
+        });
+    }
+    const spellAttestationId = await spellResolver.payloadIdHashToAttestationId(payloadIdHash);
+    if (isEmpty(spellAttestationId)) {
+        violations.push({
+            rule: ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ID,
+            message: `Spell "${payloadId}" is not attested, please ask an admin to create it first`,
+        });
+        return violations;
+    }
+    const [, crafter, reviewerA, reviewerB] = ethers.utils.defaultAbiCoder.decode(
+        ['string', 'string', 'string', 'string'],
+        (await easAttester.getAttestation(spellAttestationId)).data,
+    );
+    const attesterPseudonymHash = await identityResolver.addressToPseudonymHash(attester);
+    const crafterPseudonymHash = hashString(crafter);
+    if (![crafter, reviewerA, reviewerB].map(hashString).includes(attesterPseudonymHash)) {
+        violations.push({
+            rule: ERROR_CODES.DEPLOYMENT_RESOLVER_NOT_SPELL_MEMBER,
+            message: `Address "${attester}" does not belong to any of the spell members ("${crafter}", "${reviewerA}", "${reviewerB}")`,
+        });
+        return violations;
+    }
+    const attestedPayloadAddress = await deploymentResolver.payloadIdHashToPseudonymHashToPayloadAddress(payloadIdHash, attesterPseudonymHash);
+    if (!isEmpty(attestedPayloadAddress)) {
+        violations.push({
+            rule: ERROR_CODES.DEPLOYMENT_RESOLVER_ALREADY_ATTESTED_BY_YOU,
+            message: `Address "${attester}" already attested "${attestedPayloadAddress}" for the spell "${payloadId}"`,
+        });
+    }
+    if (attesterPseudonymHash === crafterPseudonymHash) {
+        return violations;
+    }
+    const craftersPayloadAddress = await deploymentResolver.payloadIdHashToPseudonymHashToPayloadAddress(payloadIdHash, crafterPseudonymHash);
+    if (isEmpty(craftersPayloadAddress)) {
+        violations.push({
+            rule: ERROR_CODES.DEPLOYMENT_RESOLVER_NOT_CRAFTER_FIRST,
+            message: `The crafter "${crafter}" did not yet attest the deployment, reviewers can only attest after the crafter`,
+        });
+        return violations;
+    }
+    if (payloadAddress && craftersPayloadAddress.toLowerCase() !== payloadAddress.toLowerCase()) {
+        violations.push({
+            rule: ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ADDRESS,
+            message: `Payload address "${payloadAddress}" differs from "${craftersPayloadAddress}" attested by the crafter "${crafter}"`,
+        });
+    }
+    const craftersPayloadHash = await deploymentResolver.payloadIdHashToPseudonymHashToPayloadHash(payloadIdHash, crafterPseudonymHash);
+    if (payloadHash && craftersPayloadHash !== ethers.utils.hexlify(payloadHash)) {
+        violations.push({
+            rule: ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_HASH,
+            message: `Payload hash "${ethers.utils.hexlify(payloadHash)}" differs from "${craftersPayloadHash}" attested by the crafter "${crafter}"`,
+        });
+    }
+    return violations;
+};
+
+export const checkAttestationRules = async function (provider, name, attester, options) {
+    if (name === 'identity') {
+        return await checkIdentityRules(provider, attester, options);
+    }
+    if (name === 'spell') {
+        return await checkSpellRules(provider, attester, options);
+    }
+    if (name === 'deployment') {
+        return await checkDeploymentRules(provider, attester, options);
+    }
+    throw new InvalidInputError(`Unknown schema name "${name}"`);
+};
+
+export const checkRevocationRules = async function (provider, revoker, attestation) {
+    const violations = [];
+    if (attestation.revocationTime.toString() !== '0') {
+        violations.push({
+            rule: ERROR_CODES.EAS_ALREADY_REVOKED,
+            message: `Attestation "${attestation.uid}" is already revoked`,
+        });
+    }
+    if (attestation.attester.toLowerCase() !== revoker.toLowerCase()) {
+        violations.push({
+            rule: ERROR_CODES.EAS_ACCESS_DENIED,
+            message: `Attestation can only be revoked by its attester "${attestation.attester}", not by "${revoker}"`,
+        });
+    }
+    const schemaName = await getSchemaName(provider, attestation.schema);
+    if (!schemaName) {
+        violations.push({
+            rule: ERROR_CODES.SPELL_ATTESTER_UNKNOWN_SCHEMA,
+            message: `Attestation schema "${attestation.schema}" is not filed in the SpellAttester`,
+        });
+        return violations;
+    }
+    if (schemaName !== 'deployment' && !await isAdmin(provider, attestation.attester)) {
+        violations.push({
+            rule: schemaName === 'identity' ? ERROR_CODES.IDENTITY_RESOLVER_NOT_AUTHORIZED_ATTESTER : ERROR_CODES.SPELL_RESOLVER_NOT_AUTHORIZED_ATTESTER,
+            message: `Attester "${attestation.attester}" is no longer an admin of the SpellAttester and can not revoke ${schemaName} attestations`,
+        });
+    }
+    return violations;
+};
@@ -0,0 +1,102 @@
+import process from 'node:process';
+import fs from 'node:fs';
+import readline from 'node:readline';
+import ethers from 'ethers';
+import { ConfigurationError } from './errors.js';
+
+export const SIGNER_TYPES = ['private-key', 'keystore', 'mnemonic', 'rpc'];
+
+export const DEFAULT_DERIVATION_PATH = 'm/44\'/60\'/0\'/0/0';
+
+export const promptPassword = function (question) {
+    if (!process.stdin.isTTY) {
+        throw new ConfigurationError('Password can not be prompted in non-interactive mode, please provide KEYSTORE_PASSWORD env variable');
+    }
+    return new Promise((resolve) => {
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        let isMuted = false;
+        // Hide typed characters, but still print the question itself
+        prompt._writeToOutput = (string) => {
+            if (!isMuted) {
+                prompt.output.write(string);
+            }
+        };
+        prompt.question(question, (password) => {
+            prompt.output.write('\n');
+            prompt.close();
+            resolve(password);
+        });
+        isMuted = true;
+    });
+};
+
+const decryptedKeystores = {};
+
+export const getKeystoreWallet = async function (keystorePath, password) {
+    if (!decryptedKeystores[keystorePath]) {
+        const keystore = fs.readFileSync(keystorePath, 'utf-8');
+        const keystorePassword = password ?? await promptPassword(`Password for the keystore "${keystorePath}": `);
+        try {
+            decryptedKeystores[keystorePath] = await ethers.Wallet.fromEncryptedJson(keystore, keystorePassword);
+        } catch (error) {
+            throw new ConfigurationError(`Keystore "${keystorePath}" can not be decrypted: ${error.message}`, { cause: error });
+        }
+    }
+    return decryptedKeystores[keystorePath];
+};
+
+export const getMnemonicWallet = function (mnemonic, derivationPath) {
+    if (!ethers.utils.isValidMnemonic(mnemonic)) {
+        throw new ConfigurationError('Provided MNEMONIC is not a valid BIP-39 mnemonic');
+    }
+    return ethers.Wallet.fromMnemonic(mnemonic, derivationPath || DEFAULT_DERIVATION_PATH);
+};
+
+// Signer delegating signing to an external `eth_signTransaction`-capable JSON-RPC (e.g. Clef or Frame)
+export class RpcSigner extends ethers.Signer {
+    constructor(url, address, provider) {
+        super();
+        ethers.utils.defineReadOnly(this, 'url', url);
+        ethers.utils.defineReadOnly(this, 'provider', provider);
+        // Static provider avoids network detection requests, which external signers usually do not support
+        ethers.utils.defineReadOnly(this, 'signerProvider', new ethers.providers.StaticJsonRpcProvider(url, 'any'));
+        this.address = address ? ethers.utils.getAddress(address) : undefined;
+    }
+
+    connect(provider) {
+        return new RpcSigner(this.url, this.address, provider);
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            const [account] = await this.signerProvider.send('eth_accounts', []);
+            if (!account) {
+                throw new ConfigurationError(`External signer "${this.url}" does not expose any accounts`);
+            }
+            this.address = ethers.utils.getAddress(account);
+        }
+        return this.address;
+    }
+
+    async signTransaction(transaction) {
+        const resolvedTransaction = await ethers.utils.resolveProperties(transaction);
+        const hexTransaction = ethers.providers.JsonRpcProvider.hexlifyTransaction(resolvedTransaction, { from: true });
+        hexTransaction.from = await this.getAddress();
+        if (resolvedTransaction.chainId) {
+            hexTransaction.chainId = ethers.utils.hexValue(resolvedTransaction.chainId);
+        }
+        const result = await this.signerProvider.send('eth_signTransaction', [hexTransaction]);
+        // Clef returns an object with the `raw` transaction, other signers return the raw transaction itself
+        return typeof result === 'string' ? result : result.raw;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+        return await this.signerProvider.send('personal_sign', [ethers.utils.hexlify(data), await this.getAddress()]);
+    }
+
+    async _signTypedData(domain, types, value) {
+        const payload = ethers.utils._TypedDataEncoder.getPayload(domain, types, value);
+        return await this.signerProvider.send('eth_signTypedData_v4', [await this.getAddress(), JSON.stringify(payload)]);
+    }
+}
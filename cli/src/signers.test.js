@@ -0,0 +1,77 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { after, before, describe, it } from 'mocha';
+import ethers from 'ethers';
+import { RpcSigner, getKeystoreWallet, getMnemonicWallet } from './signers.js';
+import { useTemporaryPaths } from './test-helpers.js';
+
+chai.use(chaiAsPromised);
+
+describe('Signers', () => {
+    const wallet = ethers.Wallet.createRandom();
+    const transaction = {
+        chainId: 11155111,
+        to: '0xC2679fBD37d54388Ce493F1DB75320D236e1815e',
+        data: '0x1234',
+        nonce: 1,
+        gasLimit: 50000,
+        gasPrice: 1000000000,
+    };
+
+    // Stub of the external signer (e.g. Clef) which signs using the above wallet
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => body += chunk);
+        request.on('end', async () => {
+            const { id, method, params } = JSON.parse(body);
+            let result;
+            if (method === 'eth_accounts') {
+                result = [wallet.address.toLowerCase()];
+            } else if (method === 'eth_signTransaction') {
+                const { from, gas, ...hexTransaction } = params[0];
+                if (from === wallet.address) {
+                    result = { raw: await wallet.signTransaction({ ...hexTransaction, gasLimit: gas, chainId: Number(hexTransaction.chainId) }) };
+                }
+            }
+            response.setHeader('Content-Type', 'application/json');
+            response.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        });
+    });
+    let url;
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    const getTemporaryPath = useTemporaryPaths();
+
+    it('Should sign transaction via external signer', async () => {
+        const signer = new RpcSigner(url);
+        expect(await signer.getAddress()).to.equal(wallet.address);
+        const rawTransaction = await signer.signTransaction(transaction);
+        const parsedTransaction = ethers.utils.parseTransaction(rawTransaction);
+        expect(parsedTransaction.from).to.equal(wallet.address);
+        expect(parsedTransaction.data).to.equal(transaction.data);
+    });
+
+    it('Should decrypt keystore', async () => {
+        const path = getTemporaryPath('keystore.json');
+        fs.writeFileSync(path, await wallet.encrypt('password', { scrypt: { N: 2 } }));
+        await expect(getKeystoreWallet(path, 'wrong password')).to.be.rejectedWith(Error, 'can not be decrypted');
+        expect((await getKeystoreWallet(path, 'password')).address).to.equal(wallet.address);
+    });
+
+    it('Should derive wallet from mnemonic', () => {
+        const mnemonic = wallet.mnemonic.phrase;
+        expect(getMnemonicWallet(mnemonic).address).to.equal(wallet.address);
+        expect(getMnemonicWallet(mnemonic, 'm/44\'/60\'/0\'/0/1').address).to.not.equal(wallet.address);
+        expect(() => getMnemonicWallet('not a mnemonic')).to.throw('not a valid BIP-39 mnemonic');
+    });
+});
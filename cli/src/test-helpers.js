@@ -0,0 +1,20 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+import { after } from 'mocha';
+
+// Returns function creating every path in its own temporary directory (so that nested files can be created as well),
+// all directories are removed after the tests of the calling `describe` block
+export const useTemporaryPaths = function () {
+    const dirs = [];
+    after(() => {
+        for (const dir of dirs.splice(0)) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+    return function (name) {
+        const dir = fs.mkdtempSync(join(os.tmpdir(), 'spell-attester-'));
+        dirs.push(dir);
+        return join(dir, name);
+    };
+};
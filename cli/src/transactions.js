@@ -0,0 +1,81 @@
+import fs from 'node:fs';
+import ethers from 'ethers';
+import { getEasAttesterContract } from './contracts.js';
+import { prettify } from './helpers.js';
+import { reportProgress } from './context.js';
+import { InvalidInputError, InvalidRequestError } from './errors.js';
+
+export const EXPORT_FORMATS = ['transaction', 'safe'];
+
+const ATTESTED_EVENT_TOPIC = ethers.utils.id('Attested(address,address,bytes32,bytes32)');
+
+// See https://help.safe.global/en/articles/40795-transaction-builder
+export const formatSafeBatch = function (transactions, description) {
+    return {
+        version: '1.0',
+        chainId: transactions[0].chainId.toString(),
+        createdAt: Date.now(),
+        meta: {
+            name: 'Spell attester transactions batch',
+            description,
+        },
+        transactions: transactions.map(transaction => ({
+            to: transaction.to,
+            value: transaction.value,
+            data: transaction.data,
+            contractMethod: null,
+            contractInputsValues: null,
+        })),
+    };
+};
+
+// Multiple transactions are exported as a list to be executed in the given order
+export const exportTransaction = function (path, format, transactionOrTransactions, description) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new InvalidInputError(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    const transactions = [transactionOrTransactions].flat();
+    const content = format === 'safe'
+        ? formatSafeBatch(transactions, description)
+        : Array.isArray(transactionOrTransactions) ? { description, transactions } : { description, ...transactionOrTransactions };
+    fs.writeFileSync(path, `${prettify(content)}\n`);
+};
+
+export const readRawTransaction = function (rawTransactionOrPath) {
+    if (ethers.utils.isHexString(rawTransactionOrPath)) {
+        return rawTransactionOrPath;
+    }
+    const content = fs.readFileSync(rawTransactionOrPath, 'utf-8').trim();
+    if (ethers.utils.isHexString(content)) {
+        return content;
+    }
+    const { rawTransaction } = JSON.parse(content);
+    if (!ethers.utils.isHexString(rawTransaction)) {
+        throw new InvalidRequestError(`File "${rawTransactionOrPath}" does not contain signed raw transaction`);
+    }
+    return rawTransaction;
+};
+
+export const submitSignedTransaction = async function (provider, rawTransaction) {
+    const transaction = ethers.utils.parseTransaction(rawTransaction);
+    if (!transaction.from) {
+        throw new InvalidRequestError('Provided transaction is not signed');
+    }
+    const { chainId } = await provider.getNetwork();
+    if (transaction.chainId !== chainId) {
+        throw new InvalidRequestError(`Provided transaction is signed for chain "${transaction.chainId}", but connected to chain "${chainId}"`);
+    }
+    const easAttesterAddress = ethers.utils.getAddress((await getEasAttesterContract(provider)).contract.address);
+    const response = await provider.sendTransaction(rawTransaction);
+    reportProgress(provider, `Signed transaction ("${response.hash}") is submitted, waiting to be mined...`);
+    const receipt = await response.wait();
+    return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        from: transaction.from,
+        attestationIds: receipt.logs
+            // Other contracts called by the transaction may emit events with the same signature
+            .filter(log => log.topics[0] === ATTESTED_EVENT_TOPIC && ethers.utils.getAddress(log.address) === easAttesterAddress)
+            .map(log => ethers.utils.defaultAbiCoder.decode(['bytes32'], log.data)[0]),
+    };
+};
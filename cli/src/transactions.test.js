@@ -0,0 +1,63 @@
+import fs from 'node:fs';
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import ethers from 'ethers';
+import { exportTransaction, readRawTransaction } from './transactions.js';
+import { useTemporaryPaths } from './test-helpers.js';
+
+describe('Offline transactions', () => {
+    const getTemporaryPath = useTemporaryPaths();
+
+    const transaction = {
+        chainId: 11155111,
+        to: '0xC2679fBD37d54388Ce493F1DB75320D236e1815e',
+        value: '0',
+        data: '0x1234',
+    };
+    const getPath = () => getTemporaryPath('transaction.json');
+
+    it('Should export unsigned transaction', () => {
+        const path = getPath();
+        exportTransaction(path, 'transaction', transaction, 'Test transaction');
+        expect(JSON.parse(fs.readFileSync(path))).to.deep.equal({ description: 'Test transaction', ...transaction });
+    });
+
+    it('Should export Safe Transaction Builder batch', () => {
+        const path = getPath();
+        exportTransaction(path, 'safe', transaction, 'Test transaction');
+        const batch = JSON.parse(fs.readFileSync(path));
+        expect(batch.chainId).to.equal('11155111');
+        expect(batch.meta.description).to.equal('Test transaction');
+        expect(batch.transactions).to.deep.equal([{
+            to: transaction.to,
+            value: '0',
+            data: '0x1234',
+            contractMethod: null,
+            contractInputsValues: null,
+        }]);
+    });
+
+    it('Should export multiple transactions in order', () => {
+        const secondTransaction = { ...transaction, data: '0x5678' };
+        const path = getPath();
+        exportTransaction(path, 'transaction', [transaction, secondTransaction], 'Test transactions');
+        expect(JSON.parse(fs.readFileSync(path))).to.deep.equal({ description: 'Test transactions', transactions: [transaction, secondTransaction] });
+        exportTransaction(path, 'safe', [transaction, secondTransaction], 'Test transactions');
+        expect(JSON.parse(fs.readFileSync(path)).transactions.map(({ data }) => data)).to.deep.equal(['0x1234', '0x5678']);
+    });
+
+    it('Should throw on unknown export format', () => {
+        expect(() => exportTransaction(getPath(), 'unknown', transaction)).to.throw('Unknown export format');
+    });
+
+    it('Should read raw transaction from hex string, text and json files', async () => {
+        const rawTransaction = await ethers.Wallet.createRandom().signTransaction({ ...transaction, value: 0, nonce: 0, gasLimit: 21000, gasPrice: 1 });
+        expect(readRawTransaction(rawTransaction)).to.equal(rawTransaction);
+        const textPath = getPath();
+        fs.writeFileSync(textPath, `${rawTransaction}\n`);
+        expect(readRawTransaction(textPath)).to.equal(rawTransaction);
+        const jsonPath = getPath();
+        fs.writeFileSync(jsonPath, JSON.stringify({ rawTransaction }));
+        expect(readRawTransaction(jsonPath)).to.equal(rawTransaction);
+    });
+});
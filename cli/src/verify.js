@@ -0,0 +1,312 @@
+import ethers from 'ethers';
+import { getAttestationsData } from './attestations.js';
+import { BOOTSTRAP_SCHEMAS } from './bootstrap.js';
+import { getLogsInChunks } from './cache.js';
+import { SCHEMA_NAMES, getEasAttesterContract, getEasRegistryContract, getSpellAttesterContract } from './contracts.js';
+import { ERROR_CODES } from './errors.js';
+import { getSpellAttesterDeploymentBlock } from './network.js';
+import { getSpellOutcome } from './report.js';
+import { isValidName } from './rules.js';
+
+export const VERIFICATION_EXIT_CODES = { consistent: 0, discrepancy: 2 };
+
+const EMPTY_PAYLOAD_HASH = ethers.utils.keccak256('0x');
+const ERROR_CODE_PREFIXES = {
+    identity: 'IDENTITY_RESOLVER',
+    spell: 'SPELL_RESOLVER',
+    deployment: 'DEPLOYMENT_RESOLVER',
+};
+// Same values as `defaultAttestationData` of the resolvers
+const DEFAULT_VALUES = {
+    recipient: ['UNEXPECTED_RECIPIENT', ethers.constants.AddressZero],
+    expirationTime: ['UNEXPECTED_EXPIRATION_TIME', '0'],
+    revocable: ['UNEXPECTED_REVOCABLE', true],
+    refUID: ['UNEXPECTED_REF_UID', ethers.constants.HashZero],
+};
+const UNKNOWN_MEMBER_CODES = {
+    crafter: ERROR_CODES.SPELL_RESOLVER_UNKNOWN_CRAFTER,
+    reviewerA: ERROR_CODES.SPELL_RESOLVER_UNKNOWN_REVIEWER_A,
+    reviewerB: ERROR_CODES.SPELL_RESOLVER_UNKNOWN_REVIEWER_B,
+};
+
+const checkDefaultValues = function (schemaName, attestation) {
+    return Object.entries(DEFAULT_VALUES)
+        .filter(([field, [, expectedValue]]) => String(attestation[field]) !== String(expectedValue))
+        .map(([field, [code, expectedValue]]) => ({
+            rule: ERROR_CODES[`${ERROR_CODE_PREFIXES[schemaName]}_${code}`],
+            message: `Field "${field}" is "${attestation[field]}" instead of "${expectedValue}"`,
+        }));
+};
+
+const checkIdentity = function (state, { attester, data }) {
+    const violations = [];
+    if (!state.admins.has(attester)) {
+        violations.push({ rule: ERROR_CODES.IDENTITY_RESOLVER_NOT_AUTHORIZED_ATTESTER, message: `Attester "${attester}" was not an admin` });
+    }
+    if (!isValidName(data.teamName)) {
+        violations.push({ rule: ERROR_CODES.IDENTITY_RESOLVER_INVALID_TEAM_NAME, message: `Team name "${data.teamName}" contains invalid characters` });
+    }
+    if (!isValidName(data.userPseudonym)) {
+        violations.push({ rule: ERROR_CODES.IDENTITY_RESOLVER_INVALID_USER_PSEUDONYM, message: `Pseudonym "${data.userPseudonym}" contains invalid characters` });
+    }
+    if (state.pseudonymToTeam.has(data.userPseudonym)) {
+        violations.push({ rule: ERROR_CODES.IDENTITY_RESOLVER_PSEUDONYM_ALREADY_ATTESTED, message: `Pseudonym "${data.userPseudonym}" already had an active identity` });
+    }
+    if (state.addressToPseudonym.has(data.userAddress)) {
+        violations.push({ rule: ERROR_CODES.IDENTITY_RESOLVER_ADDRESS_ALREADY_ATTESTED, message: `Address "${data.userAddress}" already had an active identity` });
+    }
+    return violations;
+};
+
+const checkSpell = function (state, { attester, data }) {
+    const violations = [];
+    if (!state.admins.has(attester)) {
+        violations.push({ rule: ERROR_CODES.SPELL_RESOLVER_NOT_AUTHORIZED_ATTESTER, message: `Attester "${attester}" was not an admin` });
+    }
+    if (state.spell) {
+        violations.push({ rule: ERROR_CODES.SPELL_RESOLVER_ALREADY_ATTESTED_PAYLOAD_ID, message: `Spell was already attested by "${state.spell.attestationId}"` });
+    }
+    for (const [role, code] of Object.entries(UNKNOWN_MEMBER_CODES)) {
+        if (!state.pseudonymToTeam.has(data[role])) {
+            violations.push({ rule: code, message: `The ${role} "${data[role]}" did not have an active identity` });
+        }
+    }
+    if (new Set([data.crafter, data.reviewerA, data.reviewerB]).size !== 3) {
+        violations.push({ rule: ERROR_CODES.SPELL_RESOLVER_NON_UNIQUE_SPELL_MEMBERS, message: `Spell members "${data.crafter}", "${data.reviewerA}" and "${data.reviewerB}" are not unique` });
+    }
+    const reviewerATeam = state.pseudonymToTeam.get(data.reviewerA);
+    if (reviewerATeam !== undefined && reviewerATeam === state.pseudonymToTeam.get(data.reviewerB)) {
+        violations.push({ rule: ERROR_CODES.SPELL_RESOLVER_SAME_TEAM_REVIEWERS, message: `Reviewers "${data.reviewerA}" and "${data.reviewerB}" were in the same team "${reviewerATeam}"` });
+    }
+    return violations;
+};
+
+const checkDeployment = function (state, { attester, data }) {
+    if (!state.spell) {
+        return [{ rule: ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ID, message: 'Spell did not have an active attestation' }];
+    }
+    const { crafter, reviewerA, reviewerB } = state.spell;
+    const pseudonym = state.addressToPseudonym.get(attester);
+    if (![crafter, reviewerA, reviewerB].includes(pseudonym)) {
+        return [{ rule: ERROR_CODES.DEPLOYMENT_RESOLVER_NOT_SPELL_MEMBER, message: `Attester "${attester}" ("${pseudonym ?? 'no identity'}") was not a spell member` }];
+    }
+    const violations = [];
+    if (state.deployments.has(pseudonym)) {
+        violations.push({ rule: ERROR_CODES.DEPLOYMENT_RESOLVER_ALREADY_ATTESTED_BY_YOU, message: `The "${pseudonym}" already attested "${state.deployments.get(pseudonym).attestationId}"` });
+    }
+    const craftersDeployment = pseudonym === crafter ? data : state.deployments.get(crafter);
+    if (!craftersDeployment || craftersDeployment.payloadAddress === ethers.constants.AddressZero) {
+        return [...violations, { rule: ERROR_CODES.DEPLOYMENT_RESOLVER_NOT_CRAFTER_FIRST, message: `The crafter "${crafter}" did not attest the deployment before` }];
+    }
+    if (data.payloadAddress !== craftersDeployment.payloadAddress) {
+        violations.push({ rule: ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_ADDRESS, message: `Payload address "${data.payloadAddress}" differs from "${craftersDeployment.payloadAddress}" of the crafter` });
+    }
+    if (data.payloadHash === EMPTY_PAYLOAD_HASH) {
+        violations.push({ rule: ERROR_CODES.DEPLOYMENT_RESOLVER_EMPTY_PAYLOAD_HASH, message: 'Payload hash is a hash of an empty code' });
+    }
+    if (data.payloadHash !== craftersDeployment.payloadHash) {
+        violations.push({ rule: ERROR_CODES.DEPLOYMENT_RESOLVER_UNKNOWN_PAYLOAD_HASH, message: `Payload hash "${data.payloadHash}" differs from "${craftersDeployment.payloadHash}" of the crafter` });
+    }
+    return violations;
+};
+
+const RULES = {
+    identity: checkIdentity,
+    spell: checkSpell,
+    deployment: checkDeployment,
+};
+
+const applyAttestation = function (state, schemaName, { uid, attester, data }) {
+    if (schemaName === 'identity') {
+        state.pseudonymToTeam.set(data.userPseudonym, data.teamName);
+        state.addressToPseudonym.set(data.userAddress, data.userPseudonym);
+    } else if (schemaName === 'spell') {
+        state.spell = { attestationId: uid, ...data };
+    } else {
+        state.deployments.set(state.addressToPseudonym.get(attester), { attestationId: uid, ...data });
+    }
+};
+
+const applyRevocation = function (state, schemaName, { uid, attester, data }) {
+    if (schemaName === 'identity') {
+        state.pseudonymToTeam.delete(data.userPseudonym);
+        state.addressToPseudonym.delete(data.userAddress);
+    } else if (schemaName === 'spell') {
+        state.spell = state.spell?.attestationId === uid ? undefined : state.spell;
+    } else {
+        // Same as the DeploymentResolver, the attester is looked up by its identity at the time of revocation
+        state.deployments.delete(state.addressToPseudonym.get(attester));
+    }
+};
+
+// Mirrors `getSpellAddressByPayloadId` of the SpellAttester using the replayed state
+const getReplayedOutcome = function (state) {
+    if (!state.spell) {
+        return { isVerified: false, reason: ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_FOUND };
+    }
+    const payloadAddress = state.deployments.get(state.spell.crafter)?.payloadAddress;
+    if (!payloadAddress || payloadAddress === ethers.constants.AddressZero) {
+        return { isVerified: false, reason: ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_YET_DEPLOYED };
+    }
+    const isReviewed = [state.spell.reviewerA, state.spell.reviewerB].every((reviewer) => {
+        const reviewersPayloadAddress = state.deployments.get(reviewer)?.payloadAddress;
+        return reviewersPayloadAddress && reviewersPayloadAddress !== ethers.constants.AddressZero;
+    });
+    if (!isReviewed) {
+        return { isVerified: false, reason: ERROR_CODES.SPELL_ATTESTER_SPELL_NOT_YET_REVIEWED };
+    }
+    return { isVerified: true, address: payloadAddress };
+};
+
+// Replays chronologically ordered admin changes, attestations and revocations, only applying the ones that follow the rules
+export const replaySpellRules = function (payloadId, events) {
+    const state = {
+        admins: new Set(),
+        pseudonymToTeam: new Map(),
+        addressToPseudonym: new Map(),
+        spell: undefined,
+        deployments: new Map(),
+    };
+    const appliedAttestationIds = new Set();
+    const violations = [];
+    for (const { type, address, schemaName, attestation } of events) {
+        if (type === 'Rely' || type === 'Deny') {
+            state.admins[type === 'Rely' ? 'add' : 'delete'](address);
+            continue;
+        }
+        // Identities are replayed for every spell, since they define members and teams at the time of attestation
+        if (schemaName !== 'identity' && attestation.data.payloadId !== payloadId) {
+            continue;
+        }
+        const report = ({ rule, message }) => violations.push({ attestationId: attestation.uid, schemaName, type, rule, message });
+        if (type === 'Revoked') {
+            if (!appliedAttestationIds.has(attestation.uid)) {
+                continue;
+            }
+            if (schemaName !== 'deployment' && !state.admins.has(attestation.attester)) {
+                const rule = ERROR_CODES[`${ERROR_CODE_PREFIXES[schemaName]}_NOT_AUTHORIZED_ATTESTER`];
+                report({ rule, message: `Attester "${attestation.attester}" was not an admin at the time of revocation` });
+                continue;
+            }
+            appliedAttestationIds.delete(attestation.uid);
+            applyRevocation(state, schemaName, attestation);
+            continue;
+        }
+        const attestationViolations = [
+            ...checkDefaultValues(schemaName, attestation),
+            ...RULES[schemaName](state, attestation),
+        ];
+        attestationViolations.forEach(report);
+        if (!attestationViolations.length) {
+            appliedAttestationIds.add(attestation.uid);
+            applyAttestation(state, schemaName, attestation);
+        }
+    }
+    return { outcome: getReplayedOutcome(state), violations };
+};
+
+// Schema must be registered with the resolver filed in the SpellAttester, otherwise the attestations can not be trusted
+const getSchemaDiscrepancies = async function (provider, schemaIds) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    const easRegistry = await getEasRegistryContract(provider);
+    const discrepancies = [];
+    for (const schemaName of SCHEMA_NAMES) {
+        const rule = ERROR_CODES[`${ERROR_CODE_PREFIXES[schemaName]}_UNKNOWN_SCHEMA`];
+        const resolverAddress = await spellAttester.schemaNameToResolver(ethers.utils.formatBytes32String(schemaName));
+        const schemaRecord = await easRegistry.contract.getSchema(schemaIds[schemaName]);
+        if (schemaRecord.uid === ethers.constants.HashZero) {
+            discrepancies.push({ schemaName, rule, message: `Schema "${schemaIds[schemaName]}" is not registered in the EAS registry` });
+            continue;
+        }
+        if (schemaRecord.resolver !== resolverAddress) {
+            discrepancies.push({ schemaName, rule, message: `Schema is resolved by "${schemaRecord.resolver}" instead of "${resolverAddress}" filed in the SpellAttester` });
+        }
+        if (schemaRecord.schema !== BOOTSTRAP_SCHEMAS[schemaName].schema) {
+            discrepancies.push({ schemaName, rule, message: `Schema is "${schemaRecord.schema}" instead of "${BOOTSTRAP_SCHEMAS[schemaName].schema}"` });
+        }
+    }
+    return discrepancies;
+};
+
+// Addresses are compared in their checksummed form, same as the attesters returned by EAS
+const normalizeData = function (data) {
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, ['userAddress', 'payloadAddress'].includes(key) ? ethers.utils.getAddress(value) : value]));
+};
+
+const getReplayEvents = async function (provider, schemaIds, blockNumber) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    const easAttester = (await getEasAttesterContract(provider)).contract;
+    // Admin rights granted by the SpellAttester constructor are needed to replay the first attestations
+    const fromBlock = await getSpellAttesterDeploymentBlock(provider);
+    const adminTopics = {
+        [spellAttester.interface.getEventTopic('Rely')]: 'Rely',
+        [spellAttester.interface.getEventTopic('Deny')]: 'Deny',
+    };
+    const attestationTopics = {
+        [easAttester.interface.getEventTopic('Attested')]: 'Attested',
+        [easAttester.interface.getEventTopic('Revoked')]: 'Revoked',
+    };
+    const schemaNames = Object.fromEntries(Object.entries(schemaIds).map(([schemaName, schemaId]) => [schemaId, schemaName]));
+
+    // EAS events are used instead of resolver ones, so that the replay does not depend on the resolvers at all
+    const adminLogs = await getLogsInChunks(provider, { address: spellAttester.address, topics: [Object.keys(adminTopics)] }, fromBlock, blockNumber);
+    const attestationLogs = await getLogsInChunks(provider, {
+        address: easAttester.address,
+        topics: [Object.keys(attestationTopics), null, null, Object.keys(schemaNames)],
+    }, fromBlock, blockNumber);
+    const attestationIds = attestationLogs.map(log => easAttester.interface.parseLog(log).args.uid);
+    const attestations = await getAttestationsData(provider, attestationIds);
+    return [
+        ...adminLogs.map(log => ({
+            log,
+            type: adminTopics[log.topics[0]],
+            address: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+        })),
+        ...attestationLogs.map((log, index) => ({
+            log,
+            type: attestationTopics[log.topics[0]],
+            schemaName: schemaNames[log.topics[3]],
+            attestation: { ...attestations[index], data: normalizeData(attestations[index].data) },
+        })),
+    ]
+        .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.logIndex - b.log.logIndex)
+        .map(({ log, ...event }) => ({ ...event, blockNumber: log.blockNumber, transactionHash: log.transactionHash }));
+};
+
+const formatOutcome = function (outcome) {
+    return outcome.isVerified ? `verified at "${outcome.address}"` : `not verified ("${outcome.reason}")`;
+};
+
+// Re-derives the verdict from raw EAS attestations, independently of the `getSpellAddressByPayloadId` and the resolvers
+export const verifySpell = async function (provider, payloadId) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    const blockNumber = await provider.getBlockNumber();
+    const schemaIds = Object.fromEntries(await Promise.all(SCHEMA_NAMES.map(async (schemaName) => {
+        return [schemaName, (await spellAttester.schemaNameToSchemaId(ethers.utils.formatBytes32String(schemaName))).toLowerCase()];
+    })));
+    const outcome = await getSpellOutcome(provider, payloadId, blockNumber);
+    const result = { payloadId, blockNumber, outcome };
+    const schemaDiscrepancies = await getSchemaDiscrepancies(provider, schemaIds);
+    if (schemaDiscrepancies.length) {
+        // Attestations of misconfigured schemas can not be decoded or trusted, so the replay is skipped
+        return { ...result, isConsistent: false, discrepancies: schemaDiscrepancies };
+    }
+    const events = await getReplayEvents(provider, schemaIds, blockNumber);
+    const replay = replaySpellRules(payloadId, events);
+    const discrepancies = replay.violations.map(violation => ({
+        ...violation,
+        message: `${violation.type} on-chain despite the rule: ${violation.message}`,
+    }));
+    const isSameOutcome = outcome.isVerified === replay.outcome.isVerified
+        && (outcome.isVerified ? outcome.address === replay.outcome.address : outcome.reason === replay.outcome.reason);
+    if (!isSameOutcome) {
+        discrepancies.push({ message: `SpellAttester returns ${formatOutcome(outcome)}, while the replayed rules result in ${formatOutcome(replay.outcome)}` });
+    }
+    return {
+        ...result,
+        replayedOutcome: replay.outcome,
+        replayedEvents: events.length,
+        isConsistent: !discrepancies.length,
+        discrepancies,
+    };
+};
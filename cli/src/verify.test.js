@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import ethers from 'ethers';
+import { replaySpellRules } from './verify.js';
+
+const admin = '0x0000000000000000000000000000000000000001';
+const addresses = {
+    alice: '0x000000000000000000000000000000000000000A',
+    bob: '0x000000000000000000000000000000000000000b',
+    charlie: '0x000000000000000000000000000000000000000C',
+};
+const payloadAddress = '0x00000000000000000000000000000000000000FF';
+const payloadHash = ethers.utils.keccak256('0x01');
+
+let uid = 0;
+const attest = function (schemaName, attester, data) {
+    return {
+        type: 'Attested',
+        schemaName,
+        attestation: {
+            uid: ethers.utils.hexZeroPad(ethers.utils.hexlify(++uid), 32),
+            attester,
+            recipient: ethers.constants.AddressZero,
+            expirationTime: ethers.BigNumber.from(0),
+            revocable: true,
+            refUID: ethers.constants.HashZero,
+            data,
+        },
+    };
+};
+const revoke = function ({ schemaName, attestation }) {
+    return { type: 'Revoked', schemaName, attestation };
+};
+
+const identities = [
+    attest('identity', admin, { teamName: 'team_a', userPseudonym: 'alice', userAddress: addresses.alice }),
+    attest('identity', admin, { teamName: 'team_b', userPseudonym: 'bob', userAddress: addresses.bob }),
+    attest('identity', admin, { teamName: 'team_c', userPseudonym: 'charlie', userAddress: addresses.charlie }),
+];
+const spell = attest('spell', admin, { payloadId: 'test', crafter: 'alice', reviewerA: 'bob', reviewerB: 'charlie' });
+const deployments = ['alice', 'bob', 'charlie'].map(pseudonym => attest('deployment', addresses[pseudonym], { payloadId: 'test', payloadAddress, payloadHash }));
+
+describe('Spell rules replay', () => {
+    it('Should verify the spell attested according to the rules', () => {
+        const { outcome, violations } = replaySpellRules('test', [{ type: 'Rely', address: admin }, ...identities, spell, ...deployments]);
+        expect(violations).to.deep.equal([]);
+        expect(outcome).to.deep.equal({ isVerified: true, address: payloadAddress });
+    });
+
+    it('Should not apply attestations violating the rules', () => {
+        const events = [
+            { type: 'Rely', address: admin },
+            ...identities,
+            spell,
+            deployments[1], // reviewer before the crafter
+            revoke(identities[2]),
+            deployments[0],
+            deployments[2], // revoked identity
+        ];
+        const { outcome, violations } = replaySpellRules('test', events);
+        expect(violations.map(({ rule }) => rule)).to.deep.equal(['DeploymentResolver/not-crafter-first', 'DeploymentResolver/not-spell-member']);
+        expect(outcome).to.deep.equal({ isVerified: false, reason: 'SpellAttester/spell-not-yet-reviewed' });
+    });
+
+    it('Should require admin rights at the time of attestation', () => {
+        const events = [{ type: 'Rely', address: admin }, ...identities, { type: 'Deny', address: admin }, spell];
+        const { outcome, violations } = replaySpellRules('test', events);
+        expect(violations.map(({ rule }) => rule)).to.deep.equal(['SpellResolver/not-authorized-attester']);
+        expect(outcome).to.deep.equal({ isVerified: false, reason: 'SpellAttester/spell-not-found' });
+    });
+});
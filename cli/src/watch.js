@@ -0,0 +1,66 @@
+import { getDeploymentEvents, getIdentityEvents, getSpellAttestation, getSpellEvents } from './attestations.js';
+import { getSpellAttesterContract } from './contracts.js';
+
+export const WATCH_EXIT_CODES = {
+    verified: 0,
+    revoked: 2,
+};
+
+const sleep = function (milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+};
+
+export const getVerifiedSpellAddress = async function (provider, payloadId) {
+    const spellAttester = await getSpellAttesterContract(provider);
+    try {
+        return await spellAttester.getSpellAddressByPayloadId(payloadId);
+    } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+            throw error;
+        }
+        return undefined;
+    }
+};
+
+const getNewSpellEvents = async function (provider, payloadId, blockRange) {
+    // Spell members are re-read on every iteration as the spell might be attested while watching
+    const spellAttestation = await getSpellAttestation(provider, payloadId);
+    const { crafter, reviewerA, reviewerB } = spellAttestation?.data ?? {};
+    const pseudonyms = [crafter, reviewerA, reviewerB].filter(pseudonym => !!pseudonym);
+    const events = [
+        ...await getSpellEvents(provider, { payloadId, ...blockRange }),
+        ...await getDeploymentEvents(provider, { payloadId, ...blockRange }),
+        ...pseudonyms.length ? await getIdentityEvents(provider, { userPseudonym: pseudonyms, ...blockRange }) : [],
+    ];
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+export const watchSpell = async function (provider, payloadId, { interval, onEvent, fromBlock }) {
+    const address = await getVerifiedSpellAddress(provider, payloadId);
+    if (address) {
+        return { outcome: 'verified', address };
+    }
+    fromBlock = fromBlock ?? await provider.getBlockNumber() + 1;
+    while (true) {
+        await sleep(interval);
+        const toBlock = await provider.getBlockNumber();
+        if (toBlock < fromBlock) {
+            continue;
+        }
+        const events = await getNewSpellEvents(provider, payloadId, { fromBlock, toBlock });
+        fromBlock = toBlock + 1;
+        for (const event of events) {
+            onEvent(event);
+            if (event.type.startsWith('Revoked')) {
+                return { outcome: 'revoked', event };
+            }
+        }
+        if (!events.length) {
+            continue;
+        }
+        const address = await getVerifiedSpellAddress(provider, payloadId);
+        if (address) {
+            return { outcome: 'verified', address };
+        }
+    }
+};
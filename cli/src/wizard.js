@@ -0,0 +1,92 @@
+import ethers from 'ethers';
+import { getCrafterDeployment, simulateAttestation } from './attestations.js';
+import { InvalidInputError, RuleViolationError } from './errors.js';
+import { getWhois } from './identities.js';
+import { getPayloadHashes, verifyPayloadHashes } from './payload.js';
+import { getVerifiedSpellAddress } from './watch.js';
+
+// Lists not yet verified spells where the member still has to attest the deployment
+export const getPendingDeployments = async function (provider, address) {
+    const { identity, spells } = await getWhois(provider, address);
+    if (!identity?.isActive || identity.userAddress.toLowerCase() !== address.toLowerCase()) {
+        throw new InvalidInputError(`Address "${address}" does not have an active identity, please ask a governance facilitator to create it`);
+    }
+    const pendingDeployments = [];
+    for (const spell of spells) {
+        if (spell.pseudonym !== identity.userPseudonym || !spell.isSpellActive || spell.hasDeployment) {
+            continue;
+        }
+        if (await getVerifiedSpellAddress(provider, spell.payloadId)) {
+            continue;
+        }
+        const crafterDeployment = spell.role === 'crafter' ? undefined : await getCrafterDeployment(provider, spell.payloadId);
+        pendingDeployments.push({
+            payloadId: spell.payloadId,
+            role: spell.role,
+            crafter: crafterDeployment?.crafter,
+            crafterPayloadAddress: crafterDeployment?.payloadAddress,
+            crafterPayloadHash: crafterDeployment?.payloadHash,
+            // Reviewers can only attest after the crafter
+            isReady: spell.role === 'crafter' || !!crafterDeployment?.payloadAddress,
+        });
+    }
+    return { identity, pendingDeployments };
+};
+
+const formatPendingDeployment = function ({ payloadId, role, crafter, isReady }) {
+    return isReady
+        ? `${payloadId} (${role})`
+        : `${payloadId} (${role}, waiting for the crafter "${crafter}" to attest the deployment first)`;
+};
+
+const askPayloadAddress = async function (prompts, printer, defaultAddress) {
+    while (true) {
+        const payloadAddress = await prompts.ask('Address of the deployed payload', defaultAddress);
+        if (ethers.utils.isAddress(payloadAddress)) {
+            return ethers.utils.getAddress(payloadAddress);
+        }
+        printer.warn(`"${payloadAddress}" is not a valid address`);
+    }
+};
+
+// Guides the member through the deployment attestation, returns options of the attestation or undefined if cancelled.
+// Same as the prompts, `printer` (`info`, `warn` and `table`) is provided by the caller, which decides where the output goes
+export const runWizard = async function (provider, address, prompts, printer) {
+    const { identity, pendingDeployments } = await getPendingDeployments(provider, address);
+    printer.info(`Detected identity "${identity.userPseudonym}" of the team "${identity.teamName}"`);
+    const readyDeployments = pendingDeployments.filter(({ isReady }) => isReady);
+    for (const pendingDeployment of pendingDeployments.filter(({ isReady }) => !isReady)) {
+        printer.info(`Spell ${formatPendingDeployment(pendingDeployment)}`);
+    }
+    if (!readyDeployments.length) {
+        printer.info('There are no spells waiting for your deployment attestation');
+        return;
+    }
+    const deployment = await prompts.choose('Select the spell to attest', readyDeployments.map(pendingDeployment => ({
+        label: formatPendingDeployment(pendingDeployment),
+        value: pendingDeployment,
+    })));
+    const payloadAddress = await askPayloadAddress(prompts, printer, deployment.crafterPayloadAddress);
+    const payloadArtifact = await prompts.ask('Path to the local build artifact to compare the code with (optional)');
+    const payloadHashes = await getPayloadHashes(provider, {
+        payloadId: deployment.payloadId,
+        payloadAddress,
+        payloadArtifact: payloadArtifact || undefined,
+    });
+    printer.table(payloadHashes.map(({ source, hash }) => ({ source, hash })));
+    const options = {
+        payloadId: deployment.payloadId,
+        payloadAddress,
+        payloadHash: verifyPayloadHashes(payloadHashes),
+    };
+    const { violations, error } = await simulateAttestation(provider, 'deployment', options);
+    if (violations.length || error) {
+        throw new RuleViolationError(`Deployment attestation would be rejected: ${[...violations.map(({ message }) => message), error].filter(Boolean).join('; ')}`, violations);
+    }
+    printer.info('Please review the deployment attestation:');
+    printer.table([{ pseudonym: identity.userPseudonym, role: deployment.role, ...options }]);
+    if (!await prompts.confirm('Submit the deployment attestation')) {
+        return;
+    }
+    return options;
+};